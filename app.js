@@ -3,9 +3,23 @@ document.addEventListener('DOMContentLoaded', () => {
     const tgtSelect = document.getElementById('tgt-site');
     const btnConvert = document.getElementById('btn-convert');
     const btnCopy = document.getElementById('btn-copy');
+    const btnAnalyze = document.getElementById('btn-analyze');
     const inputArea = document.getElementById('input-html');
+    const inputFormatSelect = document.getElementById('input-format');
+    const wholePageCheckbox = document.getElementById('opt-whole-page');
+    const wrapArticleCheckbox = document.getElementById('opt-wrap-article');
+    const viaCanonicalCheckbox = document.getElementById('opt-via-canonical');
+    const multiPassCheckbox = document.getElementById('opt-multi-pass');
     const outputArea = document.getElementById('output-html');
     const previewArea = document.getElementById('preview-container');
+    const sideBySideArea = document.getElementById('sidebyside-container');
+    const renderedFrame = document.getElementById('rendered-preview');
+    const replacementInfo = document.getElementById('replacement-info');
+    const reviewArea = document.getElementById('review-container');
+    const metadataArea = document.getElementById('metadata-container');
+    const assetArea = document.getElementById('asset-container');
+    const cssUrlInput = document.getElementById('preview-css-url');
+    const cssFileInput = document.getElementById('preview-css-file');
     const statusMsg = document.getElementById('status-msg');
 
     // Registration UI
@@ -15,13 +29,26 @@ document.addEventListener('DOMContentLoaded', () => {
     const regNameInput = document.getElementById('reg-site-name');
     const regFileInput = document.getElementById('reg-file-upload');
     const siteList = document.getElementById('site-list'); // UL element
+    const mappingEditor = document.getElementById('mapping-editor');
+    const siteMerge = document.getElementById('site-merge');
+    const siteTrash = document.getElementById('site-trash');
+    const importPreview = document.getElementById('import-preview');
+    const validationReport = document.getElementById('validation-report');
 
     // Tabs
     const tabs = document.querySelectorAll('.tab-btn');
     const tabContents = document.querySelectorAll('.tab-content');
 
-    let registry = { sites: [] }; // Initial empty structure
+    let registry = { sites: [], mappings: [] }; // Initial empty structure
     let engine = new MigrationEngine();
+    let lastOutput = null; // { code, targetId, metadata, assets } of the latest conversion (for the rendered preview / article export)
+    let lastReview = null; // { marked, replacements, rejected: Set<id>, cleanup, page? } for accept/reject review (page: wrap output)
+    let lastConversion = null; // { input, code, from, to, passes, viaCanonical } unreviewed migrate() result (for fixtures)
+    let fixtureResults = {}; // fixture id -> result of the last run
+    let openSiteId = null; // site whose part list is expanded in the site manager (kept across re-renders)
+    let conflicts = {}; // site id -> server copy, for sites edited both locally and on the server
+    let trash = loadLocalTrash(); // soft-deleted sites: [{ site, mappings, fixtures, deletedAt }]
+    let pendingImport = null; // { data: { sites, mappings, fixtures }, fileName } waiting for confirmation
 
     // Load Registry with Merge Strategy
     fetch('resources/parts_registry.json')
@@ -29,26 +56,47 @@ document.addEventListener('DOMContentLoaded', () => {
         .then(serverData => {
             // 1. Base is Server Data
             registry = serverData;
+            if (!registry.mappings) registry.mappings = [];
+            if (!registry.fixtures) registry.fixtures = [];
+            const versionNote = checkServerVersion(registry.version);
 
-            // 2. Merge with Local Custom Sites
-            const localSites = loadLocalCustomSites();
-            if (localSites.length > 0) {
-                // Determine which are truly new (avoid duplicates if ID conflict?)
-                // Custom sites have 'custom_' prefix usually.
-                localSites.forEach(lSite => {
-                    // Check if ID already exists in server config
-                    const exists = registry.sites.find(s => s.id === lSite.id);
-                    if (!exists) {
-                        registry.sites.push(lSite);
-                    }
-                });
-            }
+            // Sites deleted locally stay deleted (until restored from the trash)
+            const deletedIds = trash.map(t => t.site.id);
+            registry.sites = registry.sites.filter(s => !deletedIds.includes(s.id));
+
+            // Remember which server copy each site is based on (local edits keep this value)
+            registry.sites.forEach(site => site.serverHash = siteSignature(site));
+
+            // 2. Merge with Local Sites (see mergeLocalSite for the per-site rules)
+            loadLocalSites()
+                .filter(lSite => !deletedIds.includes(lSite.id))
+                .forEach(lSite => mergeLocalSite(lSite));
+
+            // Part mappings edited locally win over the server copy for the same site pair
+            loadLocalMappings().forEach(lMap => {
+                registry.mappings = registry.mappings.filter(m => !(m.from === lMap.from && m.to === lMap.to));
+                registry.mappings.push(lMap);
+            });
+
+            // Fixtures: local copy wins for the same ID, local-only ones are added
+            loadLocalFixtures().forEach(lFix => {
+                registry.fixtures = registry.fixtures.filter(f => f.id !== lFix.id);
+                registry.fixtures.push(lFix);
+            });
 
             // 3. Save the MERGED state to local storage (so it's current)
             saveRegistry();
 
             updateUI();
-            statusMsg.textContent = "準備完了 (共通設定 + 個人設定)";
+            const issueCount = validateRegistry();
+            const notes = [`v${registry.version || 0}`];
+            if (versionNote) notes.push(versionNote);
+            if (Object.keys(conflicts).length > 0) notes.push(`サーバー版と競合: ${Object.keys(conflicts).length}サイト`);
+            if (issueCount > 0) {
+                notes.push(`パーツ定義の問題: ${issueCount}件 (サイト管理に表示)`);
+                revealValidationReport();
+            }
+            statusMsg.textContent = `準備完了 (共通設定 + 個人設定) / ${notes.join(' / ')}`;
 
             // Set Defaults if nothing selected
             if (findSiteId('mf') && !srcSelect.value) srcSelect.value = 'mf';
@@ -58,7 +106,10 @@ document.addEventListener('DOMContentLoaded', () => {
             console.error(err);
             // Fallback: Full Local Storage
             if (loadFullRegistryFromStorage()) {
+                registry.mappings = loadLocalMappings();
+                registry.fixtures = loadLocalFixtures();
                 updateUI();
+                if (validateRegistry() > 0) revealValidationReport();
                 statusMsg.textContent = "保存された設定を読み込みました (サーバ接続失敗)";
             } else {
                 statusMsg.textContent = "設定ファイルの読み込みに失敗しました";
@@ -72,6 +123,9 @@ document.addEventListener('DOMContentLoaded', () => {
     function updateUI() {
         populateSelects();
         renderSiteList();
+        renderMappingEditor();
+        updateCssInput();
+        renderFixtureList();
     }
 
     function populateSelects() {
@@ -107,11 +161,56 @@ document.addEventListener('DOMContentLoaded', () => {
             li.style.borderBottom = '1px solid #f1f5f9';
             li.style.display = 'flex';
             li.style.justifyContent = 'space-between';
-            li.style.alignItems = 'center';
+            li.style.alignItems = 'flex-start';
 
-            const info = document.createElement('span');
-            info.textContent = `${site.name} (${site.parts.length}パーツ)`;
+            // Expandable: lists the site's parts with their description / tags / example
+            const info = document.createElement('details');
             info.style.fontSize = '0.9rem';
+            info.style.flex = '1';
+            info.dataset.siteId = site.id;
+            info.open = site.id === openSiteId;
+            const conflictBadge = conflicts[site.id]
+                ? ` <button class="conflict-badge" data-conflict="${escapeHtml(site.id)}" title="ローカルとサーバーの両方で変更されています">サーバー版と競合</button>`
+                : '';
+            const canonicalBadge = site.canonical ? ' <span class="canonical-badge">共通語彙</span>' : '';
+            info.innerHTML = `
+                <summary style="cursor:pointer;">${escapeHtml(site.name)} (${site.parts.length}パーツ)${canonicalBadge}${conflictBadge}</summary>
+                ${renderPartDetails(site.parts)}
+                ${renderPageSettings(site)}
+            `;
+            info.addEventListener('toggle', () => {
+                if (info.open) {
+                    openSiteId = site.id;
+                } else if (openSiteId === site.id) {
+                    openSiteId = null;
+                }
+            });
+
+            const mdBtn = document.createElement('button');
+            mdBtn.textContent = 'MD';
+            mdBtn.title = 'パーツ定義をMarkdownでダウンロード';
+            mdBtn.style.fontSize = '0.75rem';
+            mdBtn.style.padding = '2px 8px';
+            mdBtn.style.marginRight = '5px';
+            mdBtn.style.color = '#0369a1';
+            mdBtn.style.background = 'transparent';
+            mdBtn.style.border = '1px solid #0369a1';
+            mdBtn.style.borderRadius = '4px';
+            mdBtn.style.cursor = 'pointer';
+
+            mdBtn.onclick = () => downloadFile(`${site.name}.md`, engine.serializeMarkdownParts(site.parts), 'text/markdown');
+
+            const jsonBtn = mdBtn.cloneNode();
+            jsonBtn.textContent = 'JSON';
+            jsonBtn.title = 'サイト単体 (パーツ対応表・フィクスチャ込み) をJSONでダウンロード';
+            jsonBtn.onclick = () => exportSiteBundle(site);
+
+            const canonicalBtn = mdBtn.cloneNode();
+            canonicalBtn.textContent = '共通';
+            canonicalBtn.title = site.canonical
+                ? '共通語彙 (中間フォーマット) の指定を解除'
+                : 'このサイトを共通語彙 (中間フォーマット) にする: 各サイトはこのサイトとの対応表だけで相互に変換できます';
+            canonicalBtn.onclick = () => setCanonicalSite(site.canonical ? null : site.id);
 
             const delBtn = document.createElement('button');
             delBtn.textContent = '削除';
@@ -126,34 +225,559 @@ document.addEventListener('DOMContentLoaded', () => {
             delBtn.onclick = () => deleteSite(site.id);
 
             li.appendChild(info);
+            li.appendChild(mdBtn);
+            li.appendChild(jsonBtn);
+            li.appendChild(canonicalBtn);
             li.appendChild(delBtn);
             siteList.appendChild(li);
         });
+        renderTrash();
+    }
+
+    function renderPartDetails(parts) {
+        const items = parts.map((part, index) => {
+            const tags = (part.tags || [])
+                .map(tag => `<span class="part-tag">${escapeHtml(tag)}</span>`)
+                .join('');
+            const priority = part.priority !== undefined
+                ? `<span style="color:#64748b; font-size:0.75rem;">優先度: ${escapeHtml(String(part.priority))}</span>`
+                : '';
+            const description = part.description
+                ? `<div style="color:#475569; margin-top:2px;">${escapeHtml(part.description)}</div>`
+                : '';
+            const example = part.example
+                ? `<pre class="part-example">${escapeHtml(part.example)}</pre>`
+                : '';
+            return `
+                <li style="padding:6px 0; border-top:1px dashed #e2e8f0;" data-part-index="${index}">
+                    <b>${escapeHtml(part.name)}</b> ${tags} ${priority}
+                    <button class="part-edit-btn" data-part-index="${index}">編集</button>
+                    ${description}
+                    ${example}
+                </li>`;
+        }).join('');
+        return `<ul style="list-style:none; padding:0 0 0 10px; margin:5px 0 0; font-size:0.8rem;">${items}</ul>`;
+    }
+
+    // Whole-document mode settings: content root / exclusions (as source), article container (as target)
+    function renderPageSettings(site) {
+        const page = site.page || {};
+        const root = page.contentRoot ? `<code>${escapeHtml(page.contentRoot)}</code>` : '(ページ全体)';
+        return `
+            <div class="page-settings">
+                ページ設定 — 本文: ${root} / 除外: ${(page.exclude || []).length}件 / 記事コンテナ: ${page.wrapper ? 'あり' : 'なし'}
+                / メタデータ取得ルール: ${(page.metadata || []).length}件 / 出力の許可リスト: ${page.sanitize ? 'あり' : 'なし'}
+                <button class="part-edit-btn page-settings-btn">編集</button>
+            </div>`;
+    }
+
+    // --- In-place Part Editor (name + pattern, re-validated while typing) ---
+
+    siteList.addEventListener('click', (e) => {
+        const badge = e.target.closest('.conflict-badge');
+        if (badge) {
+            e.preventDefault(); // Don't toggle the <details>
+            resolveConflict(badge.dataset.conflict);
+            return;
+        }
+
+        const btn = e.target.closest('.part-edit-btn');
+        if (!btn) return;
+        const site = findSiteId(btn.closest('details').dataset.siteId);
+        if (btn.classList.contains('page-settings-btn')) {
+            openPageSettingsEditor(site, btn.closest('.page-settings'));
+            return;
+        }
+        openPartEditor(site, Number(btn.dataset.partIndex), btn.closest('li'));
+    });
+
+    function openPageSettingsEditor(site, container) {
+        const page = site.page || {};
+        const sanitize = page.sanitize || {};
+        container.innerHTML = `
+            <div class="part-editor">
+                <label>本文のセレクタ (例: .entry-content、空欄ならページ全体)</label>
+                <input type="text" class="part-editor-name page-editor-root" value="${escapeHtml(page.contentRoot || '')}">
+                <label>除外するセレクタ (1行に1つ、例: .share-buttons)</label>
+                <textarea class="part-editor-pattern page-editor-exclude" rows="3">${escapeHtml((page.exclude || []).join('\n'))}</textarea>
+                <label>記事コンテナ (変換先として使う場合。{{content}} に変換結果が入ります)</label>
+                <textarea class="part-editor-pattern page-editor-wrapper" rows="3">${escapeHtml(page.wrapper || '')}</textarea>
+                <label>メタデータ取得ルール (1行に1つ「キー: セレクタ」「キー: セレクタ @属性」「キー: パターン」。既定のキーは上書き)</label>
+                <textarea class="part-editor-pattern page-editor-metadata" rows="4"
+                    placeholder="title: h1.entry-title&#10;image: .eyecatch img @src&#10;publishedAt: <time class=&quot;date&quot; datetime=&quot;{{date}}&quot;>">${escapeHtml(engine.serializeMetadataRules(page.metadata || []))}</textarea>
+                <label>出力の許可リスト (変換先として使う場合。カンマ区切り、空欄なら制限なし)</label>
+                <input type="text" class="part-editor-name page-editor-tags" placeholder="許可するタグ: p, h2, h3, ul, li, a, img, div, span"
+                    value="${escapeHtml((sanitize.tags || []).join(', '))}">
+                <input type="text" class="part-editor-name page-editor-attributes" placeholder="許可する属性: href, src, alt, a[target]"
+                    value="${escapeHtml((sanitize.attributes || []).join(', '))}">
+                <input type="text" class="part-editor-name page-editor-classes" placeholder="許可するclass: box, textbox, numbering-*"
+                    value="${escapeHtml((sanitize.classes || []).join(', '))}">
+                <label>空でも残す要素 (1行に1つのセレクタ、tag[*] は属性のあるタグ。空欄なら既定)</label>
+                <textarea class="part-editor-pattern page-editor-keep-empty" rows="3"
+                    placeholder="${DEFAULT_KEEP_EMPTY.map(escapeHtml).join('&#10;')}">${escapeHtml((sanitize.keepEmpty || []).join('\n'))}</textarea>
+                <div class="part-editor-issues"></div>
+                <button class="btn-primary part-editor-save">保存</button>
+                <button class="btn-secondary part-editor-cancel">キャンセル</button>
+            </div>
+        `;
+        const rootInput = container.querySelector('.page-editor-root');
+        const excludeInput = container.querySelector('.page-editor-exclude');
+        const wrapperInput = container.querySelector('.page-editor-wrapper');
+        const metadataInput = container.querySelector('.page-editor-metadata');
+        const sanitizeInputs = {
+            tags: container.querySelector('.page-editor-tags'),
+            attributes: container.querySelector('.page-editor-attributes'),
+            classes: container.querySelector('.page-editor-classes'),
+            keepEmpty: container.querySelector('.page-editor-keep-empty')
+        };
+        const issuesArea = container.querySelector('.part-editor-issues');
+        const saveBtn = container.querySelector('.part-editor-save');
+
+        // Only filled-in fields are stored
+        const edited = () => {
+            const candidate = {};
+            const exclude = excludeInput.value.split('\n').map(s => s.trim()).filter(Boolean);
+            if (rootInput.value.trim()) candidate.contentRoot = rootInput.value.trim();
+            if (exclude.length > 0) candidate.exclude = exclude;
+            if (wrapperInput.value.trim()) candidate.wrapper = wrapperInput.value.trim();
+            const metadata = engine.parseMetadataRules(metadataInput.value).rules;
+            if (metadata.length > 0) candidate.metadata = metadata;
+            const policy = {};
+            Object.entries(sanitizeInputs).forEach(([key, input]) => {
+                const list = engine.parseSanitizeList(input.value, key === 'keepEmpty');
+                if (list.length > 0) policy[key] = list;
+            });
+            if (Object.keys(policy).length > 0) candidate.sanitize = policy;
+            return candidate;
+        };
+
+        const revalidate = () => {
+            const messages = [
+                ...engine.parseMetadataRules(metadataInput.value).issues,
+                ...engine.validatePageSettings(edited()).map(issue => issue.message)
+            ];
+            issuesArea.innerHTML = messages.length === 0
+                ? '<span style="color:#10b981;">問題はありません</span>'
+                : messages.map(message => `<div style="color:#dc2626;">エラー: ${escapeHtml(message)}</div>`).join('');
+            saveBtn.disabled = messages.length > 0;
+        };
+
+        [rootInput, excludeInput, wrapperInput, metadataInput, ...Object.values(sanitizeInputs)]
+            .forEach(input => input.addEventListener('input', revalidate));
+        container.querySelector('.part-editor-cancel').onclick = () => renderSiteList();
+        saveBtn.onclick = () => {
+            const candidate = edited();
+            if (Object.keys(candidate).length > 0) {
+                site.page = candidate;
+            } else {
+                delete site.page;
+            }
+            touchSite(site);
+            saveRegistry();
+            updateUI();
+            statusMsg.textContent = `「${site.name}」のページ設定を更新しました`;
+        };
+        revalidate();
+    }
+
+    function openPartEditor(site, index, li) {
+        const part = site.parts[index];
+        li.innerHTML = `
+            <div class="part-editor">
+                <input type="text" class="part-editor-name" value="${escapeHtml(part.name)}">
+                <textarea class="part-editor-pattern" rows="6">${escapeHtml(part.pattern)}</textarea>
+                <div class="part-editor-issues"></div>
+                <button class="btn-primary part-editor-save">保存</button>
+                <button class="btn-secondary part-editor-cancel">キャンセル</button>
+            </div>
+        `;
+        const nameInput = li.querySelector('.part-editor-name');
+        const patternInput = li.querySelector('.part-editor-pattern');
+        const issuesArea = li.querySelector('.part-editor-issues');
+        const saveBtn = li.querySelector('.part-editor-save');
+
+        const edited = () => ({ ...part, name: nameInput.value.trim(), pattern: patternInput.value.trim() });
+
+        const revalidate = () => {
+            const candidate = edited();
+            const parts = site.parts.map((p, i) => i === index ? candidate : p);
+            const issues = engine.validateParts(parts, { source: site.id === srcSelect.value }).filter(issue => issue.part === candidate.name);
+            if (!candidate.name) issues.unshift({ level: 'error', message: 'パーツ名を入力してください' });
+
+            issuesArea.innerHTML = issues.length === 0
+                ? '<span style="color:#10b981;">問題はありません</span>'
+                : issues.map(issue => `
+                    <div style="color:${issue.level === 'error' ? '#dc2626' : '#d97706'};">
+                        ${issue.level === 'error' ? 'エラー' : '警告'}: ${escapeHtml(issue.message)}
+                    </div>`).join('');
+            saveBtn.disabled = issues.some(issue => issue.level === 'error');
+        };
+
+        nameInput.addEventListener('input', revalidate);
+        patternInput.addEventListener('input', revalidate);
+        li.querySelector('.part-editor-cancel').onclick = () => renderSiteList();
+        saveBtn.onclick = () => {
+            const candidate = edited();
+            renameMappedPart(site.id, part.name, candidate.name);
+            site.parts[index] = candidate;
+            touchSite(site);
+            saveRegistry();
+            updateUI();
+            statusMsg.textContent = `「${site.name}」のパーツ「${candidate.name}」を更新しました`;
+        };
+        revalidate();
+    }
+
+    // Keeps part mapping rules pointing at a part after it is renamed
+    function renameMappedPart(siteId, oldName, newName) {
+        if (oldName === newName) return;
+        const renameFallbackTarget = (fallback) => {
+            if (fallback && fallback.target === oldName) fallback.target = newName;
+        };
+        registry.mappings.forEach(mapping => {
+            if (mapping.to === siteId) renameFallbackTarget(mapping.fallback);
+            mapping.rules.forEach(rule => {
+                if (mapping.from === siteId && rule.source === oldName) rule.source = newName;
+                if (mapping.to === siteId && rule.target === oldName) rule.target = newName;
+                if (mapping.to === siteId) renameFallbackTarget(rule.fallback);
+            });
+        });
+    }
+
+    // Marks the site conversions can go through (canonical vocabulary). Only one site can be it; null clears it
+    function setCanonicalSite(id) {
+        registry.sites.forEach(site => {
+            if (site.id === id) {
+                site.canonical = true;
+                touchSite(site);
+            } else if (site.canonical) {
+                delete site.canonical;
+                touchSite(site);
+            }
+        });
+        saveRegistry();
+        updateUI();
+        const site = findSiteId(id);
+        statusMsg.textContent = site ? `サイト「${site.name}」を共通語彙にしました` : '共通語彙の指定を解除しました';
     }
 
+    // Soft delete: the site (with its mappings and fixtures) goes to the trash and can be restored
     function deleteSite(id) {
-        if (!confirm('本当にこのサイト定義を削除しますか？')) return;
+        const site = findSiteId(id);
+        if (!site) return;
+
+        const related = (item) => item.from === id || item.to === id;
+        trash.push({
+            site: site,
+            mappings: registry.mappings.filter(related),
+            fixtures: registry.fixtures.filter(related),
+            deletedAt: new Date().toISOString()
+        });
         registry.sites = registry.sites.filter(s => s.id !== id);
+        registry.mappings = registry.mappings.filter(m => !related(m));
+        registry.fixtures = registry.fixtures.filter(f => !related(f));
+        delete conflicts[id];
+
         saveRegistry(); // Save changes
         updateUI();
+        statusMsg.textContent = `サイト「${site.name}」を削除しました (削除済みサイトから元に戻せます)`;
+    }
+
+    function restoreSite(id) {
+        const entry = trash.find(t => t.site.id === id);
+        if (!entry) return;
+
+        trash = trash.filter(t => t !== entry);
+        registry.sites.push(entry.site);
+        registry.mappings.push(...entry.mappings);
+        registry.fixtures.push(...entry.fixtures);
+
+        saveRegistry();
+        updateUI();
+        statusMsg.textContent = `サイト「${entry.site.name}」を元に戻しました`;
+    }
+
+    function purgeSite(id) {
+        const entry = trash.find(t => t.site.id === id);
+        if (!entry || !confirm(`サイト「${entry.site.name}」を完全に削除しますか？ (元に戻せません)`)) return;
+        trash = trash.filter(t => t !== entry);
+        saveRegistry();
+        renderTrash();
+    }
+
+    function renderTrash() {
+        if (trash.length === 0) {
+            siteTrash.innerHTML = '';
+            return;
+        }
+        siteTrash.innerHTML = `
+            <div style="font-size:0.8rem; color:#64748b; margin:5px 0;">削除済みサイト</div>
+            ${trash.map(entry => `
+                <div class="trash-item">
+                    <span>${escapeHtml(entry.site.name)} <small>(${escapeHtml(new Date(entry.deletedAt).toLocaleString())})</small></span>
+                    <span>
+                        <button class="btn-secondary" data-restore="${escapeHtml(entry.site.id)}">元に戻す</button>
+                        <button class="btn-secondary" data-purge="${escapeHtml(entry.site.id)}">完全に削除</button>
+                    </span>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    siteTrash.addEventListener('click', (e) => {
+        if (e.target.dataset.restore) restoreSite(e.target.dataset.restore);
+        if (e.target.dataset.purge) purgeSite(e.target.dataset.purge);
+    });
+
+    // --- Versioning & Server / Local Merge ---
+    //
+    // registry.version is the revision of parts_registry.json (bumped on export).
+    // Each site carries updatedAt (set on every local change). Local copies also remember
+    // serverHash: the signature of the server copy they were last reconciled with, so a
+    // conflict that was already resolved is not reported again until the server changes.
+
+    function touchSite(site) {
+        site.updatedAt = new Date().toISOString();
+    }
+
+    function siteSignature(site) {
+        // page / canonical are left out when unset so signatures of sites without them stay the same
+        const signed = { name: site.name, parts: site.parts };
+        if (site.page) signed.page = site.page;
+        if (site.canonical) signed.canonical = true;
+        const text = JSON.stringify(signed);
+        // djb2 - only used to detect changes, not for security
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    /**
+     * Reconciles one locally stored site with the server registry (already in registry.sites).
+     *  - Not on the server: custom sites (and locally edited ones) are kept, others were removed upstream.
+     *  - Same content, or never edited locally: the server copy is used.
+     *  - Edited locally, server unchanged since (serverHash matches): the local copy is used.
+     *  - Edited on both sides: the local copy is used for now and the site is flagged as a conflict.
+     */
+    function mergeLocalSite(lSite) {
+        const index = registry.sites.findIndex(s => s.id === lSite.id);
+
+        if (index === -1) {
+            if ((lSite.id && lSite.id.startsWith('custom_')) || lSite.updatedAt) {
+                registry.sites.push(lSite);
+            }
+            return;
+        }
+
+        const server = registry.sites[index];
+        const serverHash = siteSignature(server);
+        const editedLocally = lSite.updatedAt && lSite.updatedAt !== server.updatedAt;
+        if (siteSignature(lSite) === serverHash || !editedLocally) return;
+
+        registry.sites[index] = lSite;
+        if (lSite.serverHash !== serverHash) {
+            conflicts[lSite.id] = server;
+        }
+    }
+
+    function checkServerVersion(version) {
+        const lastSeen = Number(localStorage.getItem('migration_tool_server_version') || 0);
+        localStorage.setItem('migration_tool_server_version', String(version || 0));
+        return version > lastSeen && lastSeen > 0 ? `サーバー設定が更新されました (v${lastSeen} → v${version})` : '';
+    }
+
+    /**
+     * Part-by-part comparison (by part name).
+     * @returns {Array} [{ name, status: 'same'|'changed'|'local'|'incoming', local, incoming }]
+     */
+    function diffSiteParts(localParts, incomingParts) {
+        const rows = localParts.map(part => {
+            const other = incomingParts.find(p => p.name === part.name);
+            if (!other) return { name: part.name, status: 'local', local: part, incoming: null };
+            const same = JSON.stringify(part) === JSON.stringify(other);
+            return { name: part.name, status: same ? 'same' : 'changed', local: part, incoming: other };
+        });
+        incomingParts.filter(p => !localParts.some(l => l.name === p.name)).forEach(part => {
+            rows.push({ name: part.name, status: 'incoming', local: null, incoming: part });
+        });
+        return rows;
+    }
+
+    function renderPatternDiff(a, b) {
+        return engine.diffLines(a, b).map(line => {
+            const prefix = { same: '  ', removed: '- ', added: '+ ' }[line.type];
+            return `<span class="fixture-diff-${line.type}">${escapeHtml(prefix + line.text)}</span>`;
+        }).join('\n');
+    }
+
+    /**
+     * Shows the differences between a site and another copy of it (server copy or re-uploaded
+     * file) and lets the user keep theirs, take the other one, or pick per part.
+     *
+     * @param {Object} site - the site as currently registered
+     * @param {Array} incomingParts
+     * @param {string} incomingLabel - e.g. 'サーバー版'
+     * @param {Function} onResolve - (choice: 'local'|'incoming'|'merge', mergedParts) => void
+     */
+    function openMergeView(site, incomingParts, incomingLabel, onResolve) {
+        const rows = diffSiteParts(site.parts, incomingParts);
+        const statusLabel = {
+            same: '同じ',
+            changed: '変更あり',
+            local: 'ローカルのみ',
+            incoming: `${incomingLabel}のみ`
+        };
+
+        const body = rows.filter(r => r.status !== 'same').map((row, i) => {
+            let detail;
+            if (row.status === 'changed') {
+                detail = row.local.pattern === row.incoming.pattern
+                    ? '<span style="color:#64748b;">パターンは同じ (説明・タグ等が異なります)</span>'
+                    : `<pre class="fixture-diff">${renderPatternDiff(row.local.pattern, row.incoming.pattern)}</pre>`;
+            } else {
+                detail = `<pre class="part-example">${escapeHtml((row.local || row.incoming).pattern)}</pre>`;
+            }
+            // Default choice: keep what is local, but take parts that only exist in the other copy
+            const defaultIncoming = row.status === 'incoming';
+            return `
+                <tr>
+                    <td style="padding:6px; border:1px solid #e2e8f0; font-weight:bold;">${escapeHtml(row.name)}</td>
+                    <td style="padding:6px; border:1px solid #e2e8f0; white-space:nowrap;">${statusLabel[row.status]}</td>
+                    <td style="padding:6px; border:1px solid #e2e8f0;">${detail}</td>
+                    <td style="padding:6px; border:1px solid #e2e8f0; white-space:nowrap;">
+                        <label><input type="radio" name="merge-${i}" value="local" data-name="${escapeHtml(row.name)}" ${defaultIncoming ? '' : 'checked'}> ローカル</label><br>
+                        <label><input type="radio" name="merge-${i}" value="incoming" data-name="${escapeHtml(row.name)}" ${defaultIncoming ? 'checked' : ''}> ${escapeHtml(incomingLabel)}</label>
+                    </td>
+                </tr>`;
+        }).join('');
+
+        siteMerge.style.display = 'block';
+        siteMerge.innerHTML = `
+            <h3 style="margin-top:0; font-size:0.9rem; color:#b45309;">▼ 「${escapeHtml(site.name)}」: ローカル と ${escapeHtml(incomingLabel)} の差分</h3>
+            ${body ? `
+                <table style="width:100%; border-collapse:collapse; font-size:0.8rem; background:#fff;">
+                    <thead>
+                        <tr style="background:#fef3c7; text-align:left;">
+                            <th style="padding:6px; border:1px solid #cbd5e1;">パーツ名</th>
+                            <th style="padding:6px; border:1px solid #cbd5e1;">状態</th>
+                            <th style="padding:6px; border:1px solid #cbd5e1;">内容 (- ローカル / + ${escapeHtml(incomingLabel)})</th>
+                            <th style="padding:6px; border:1px solid #cbd5e1;">採用</th>
+                        </tr>
+                    </thead>
+                    <tbody>${body}</tbody>
+                </table>
+            ` : '<p style="font-size:0.85rem;">パーツの差分はありません。</p>'}
+            <div style="display:flex; gap:5px; margin-top:8px; flex-wrap:wrap;">
+                <button class="btn-secondary" data-merge="local">ローカルを維持</button>
+                <button class="btn-secondary" data-merge="incoming">${escapeHtml(incomingLabel)}を採用</button>
+                <button class="btn-primary" data-merge="merge">選択したパーツでマージ</button>
+                <button class="btn-secondary" data-merge="close">閉じる</button>
+            </div>
+        `;
+
+        siteMerge.querySelectorAll('button[data-merge]').forEach(btn => {
+            btn.onclick = () => {
+                const choice = btn.dataset.merge;
+                const selections = {};
+                siteMerge.querySelectorAll('input[type=radio]:checked').forEach(r => selections[r.dataset.name] = r.value);
+
+                siteMerge.style.display = 'none';
+                siteMerge.innerHTML = '';
+                if (choice === 'close') return;
+                onResolve(choice, choice === 'merge' ? buildMergedParts(rows, selections) : null);
+            };
+        });
+    }
+
+    // Local order first, then parts that only exist in the other copy
+    function buildMergedParts(rows, selections) {
+        const merged = [];
+        rows.filter(row => row.local).forEach(row => {
+            if (row.status === 'same' || selections[row.name] !== 'incoming') {
+                merged.push(row.local);
+            } else if (row.incoming) {
+                merged.push(row.incoming);
+            }
+            // A local-only part set to the other copy is dropped (the other copy doesn't have it)
+        });
+        rows.filter(row => !row.local && selections[row.name] === 'incoming').forEach(row => merged.push(row.incoming));
+        return merged;
+    }
+
+    // Conflict between the local copy of a site and a newer server copy
+    function resolveConflict(siteId) {
+        const site = findSiteId(siteId);
+        const server = conflicts[siteId];
+        if (!site || !server) return;
+
+        openMergeView(site, server.parts, 'サーバー版', (choice, mergedParts) => {
+            const index = registry.sites.indexOf(site);
+            if (choice === 'incoming') {
+                registry.sites[index] = server; // Already carries its serverHash
+            } else {
+                if (choice === 'merge') {
+                    site.parts = mergedParts;
+                    touchSite(site);
+                }
+                site.serverHash = siteSignature(server);
+            }
+            delete conflicts[siteId];
+            saveRegistry();
+            updateUI();
+            statusMsg.textContent = `「${site.name}」の競合を解決しました`;
+        });
     }
 
     // Persistence
     // Persistence Helpers
     function saveRegistry() {
         localStorage.setItem('migration_tool_sites', JSON.stringify(registry.sites));
+        localStorage.setItem('migration_tool_mappings', JSON.stringify(registry.mappings));
+        localStorage.setItem('migration_tool_fixtures', JSON.stringify(registry.fixtures));
+        localStorage.setItem('migration_tool_trash', JSON.stringify(trash));
+    }
+
+    function loadLocalMappings() {
+        const stored = localStorage.getItem('migration_tool_mappings');
+        if (!stored) return [];
+        try {
+            return JSON.parse(stored);
+        } catch (e) {
+            console.error("Storage parse error", e);
+            return [];
+        }
+    }
+
+    function loadLocalFixtures() {
+        const stored = localStorage.getItem('migration_tool_fixtures');
+        if (!stored) return [];
+        try {
+            return JSON.parse(stored);
+        } catch (e) {
+            console.error("Storage parse error", e);
+            return [];
+        }
+    }
+
+    function loadLocalTrash() {
+        const stored = localStorage.getItem('migration_tool_trash');
+        if (!stored) return [];
+        try {
+            return JSON.parse(stored);
+        } catch (e) {
+            console.error("Storage parse error", e);
+            return [];
+        }
     }
 
-    function loadLocalCustomSites() {
+    function loadLocalSites() {
         const stored = localStorage.getItem('migration_tool_sites');
         if (!stored) return [];
         try {
-            const parsed = JSON.parse(stored);
-            // Filter only "Custom" sites created by user (starting with custom_)
-            // This ensures we don't accidentally override "updated" server sites with "old" local versions
-            // UNLESS we want to support local overrides.
-            // For now, "Merge Additions" is safer usage.
-            return parsed.filter(s => s.id && s.id.startsWith('custom_'));
+            // All sites, including local copies of server sites (reconciled in mergeLocalSite)
+            return JSON.parse(stored).filter(s => s.id);
         } catch (e) {
             console.error("Storage parse error", e);
             return [];
@@ -171,161 +795,1349 @@ document.addEventListener('DOMContentLoaded', () => {
         return false;
     }
 
-    // Toggle Registration
-    btnToggleReg.addEventListener('click', () => {
-        regArea.style.display = regArea.style.display === 'none' ? 'block' : 'none';
-    });
+    // --- Part Mapping (per From/To site pair) ---
 
-    // Register New Site
-    btnRegister.addEventListener('click', () => {
-        const name = regNameInput.value.trim();
-        const file = regFileInput.files[0];
+    function findMapping(fromId, toId) {
+        return registry.mappings.find(m => m.from === fromId && m.to === toId);
+    }
 
-        if (!name) {
-            alert("サイト名を入力してください");
-            return;
-        }
-        if (!file) {
-            alert("パーツ定義ファイル（.md）を選択してください");
-            return;
-        }
+    function getMappingRules(fromId, toId) {
+        const mapping = findMapping(fromId, toId);
+        return mapping ? mapping.rules : [];
+    }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const content = e.target.result;
-                const parts = engine.parseMarkdownParts(content);
+    // Site pair default for parts without a target ({ strategy, target? }), see FALLBACK_STRATEGIES
+    function getMappingFallback(fromId, toId) {
+        const mapping = findMapping(fromId, toId);
+        return mapping ? mapping.fallback : undefined;
+    }
 
-                if (parts.length === 0) {
-                    alert("有効なパーツ定義が見つかりませんでした。フォーマットを確認してください。");
-                    return;
-                }
+    // Site pair URL rewriting ({ base?, rules?, links? }), see MigrationEngine.rewriteUrl()
+    function getMappingUrls(fromId, toId) {
+        const mapping = findMapping(fromId, toId);
+        return mapping ? mapping.urls : undefined;
+    }
 
-                // Check update or new
-                // For simplicity, always create new ID unless we implement explicit 'Update' logic.
-                // But user wants "Re-upload". So if name matches, we overwrite?
-                // Let's check by name.
-
-                const existingIndex = registry.sites.findIndex(s => s.name === name);
-
-                if (existingIndex !== -1) {
-                    if (!confirm(`サイト「${name}」は既に存在します。上書きしますか？`)) return;
-                    // Update parts
-                    registry.sites[existingIndex].parts = parts;
-                    alert(`サイト「${name}」定義を更新しました。(${parts.length}パーツ)`);
-                } else {
-                    const id = 'custom_' + Date.now();
-                    const newSite = {
-                        id: id,
-                        name: name,
-                        parts: parts
-                    };
-                    registry.sites.push(newSite);
-                    alert(`新規サイト「${name}」を追加しました。(${parts.length}パーツ)`);
-                }
+    /**
+     * Sets a site pair level setting ('fallback' / 'urls'); an empty value removes it.
+     */
+    function updateMappingSetting(fromId, toId, key, value) {
+        let mapping = findMapping(fromId, toId);
+        if (!mapping) {
+            mapping = { from: fromId, to: toId, rules: [] };
+            registry.mappings.push(mapping);
+        }
+        if (value) {
+            mapping[key] = value;
+        } else {
+            delete mapping[key];
+        }
+        removeMappingIfEmpty(mapping);
+        saveRegistry();
+    }
 
-                saveRegistry(); // Save changes
-                updateUI();
+    function removeMappingIfEmpty(mapping) {
+        if (mapping.rules.length === 0 && !mapping.fallback && !mapping.urls) {
+            registry.mappings = registry.mappings.filter(m => m !== mapping);
+        }
+    }
 
-                // Clear inputs
-                regNameInput.value = '';
-                regFileInput.value = '';
+    const FALLBACK_LABELS = {
+        keep: 'そのまま残す (未変換として報告)',
+        unwrap: '中身だけ残す',
+        generic: '汎用パーツに変換',
+        drop: '削除する',
+        comment: 'コメントで囲む (要手動対応)'
+    };
 
-            } catch (err) {
-                console.error(err);
-                alert("ファイルの解析中にエラーが発生しました。");
-            }
-        };
-        reader.readAsText(file);
-    });
+    // <select> value <-> { strategy, target? } ("generic:パーツ名" for generic)
+    function encodeFallback(fallback) {
+        if (!fallback) return '';
+        return fallback.strategy === 'generic' ? `generic:${fallback.target}` : fallback.strategy;
+    }
 
-    // Export JSON
-    document.getElementById('btn-export-json').addEventListener('click', () => {
-        const jsonStr = JSON.stringify(registry, null, 2);
-        const blob = new Blob([jsonStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
+    function decodeFallback(value) {
+        if (!value) return undefined;
+        if (value.startsWith('generic:')) return { strategy: 'generic', target: value.substring('generic:'.length) };
+        return { strategy: value };
+    }
 
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'parts_registry.json';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-    });
+    function buildFallbackSelect(targetNames, emptyLabel, fallback) {
+        const select = document.createElement('select');
+        select.style.width = '100%';
+        select.style.fontSize = '0.75rem';
+        select.add(new Option(emptyLabel, ''));
+        ['keep', 'unwrap', 'drop', 'comment'].forEach(strategy => select.add(new Option(FALLBACK_LABELS[strategy], strategy)));
+        targetNames.forEach(name => select.add(new Option(`${FALLBACK_LABELS.generic}: ${name}`, `generic:${name}`)));
+        select.value = encodeFallback(fallback);
+        return select;
+    }
 
-    // Convert Action
-    btnConvert.addEventListener('click', () => {
-        if (!registry) return;
+    /**
+     * Updates the rule for one source part. changes: { target?, variables?, fallback? }
+     * A rule with no target, variable renames or fallback is removed (falls back to same-name pairing).
+     */
+    function updateMappingRule(fromId, toId, sourceName, changes) {
+        let mapping = findMapping(fromId, toId);
+        if (!mapping) {
+            mapping = { from: fromId, to: toId, rules: [] };
+            registry.mappings.push(mapping);
+        }
 
-        const srcId = srcSelect.value;
-        const tgtId = tgtSelect.value;
-        const sourceHtml = inputArea.value;
+        const existing = mapping.rules.find(r => r.source === sourceName) || { source: sourceName };
+        const rule = { ...existing, ...changes };
+        if (!rule.target) delete rule.target;
+        if (!rule.variables || Object.keys(rule.variables).length === 0) delete rule.variables;
+        if (!rule.fallback) delete rule.fallback;
 
-        if (!sourceHtml.trim()) {
-            statusMsg.textContent = "HTMLを貼り付けてください";
-            return;
+        mapping.rules = mapping.rules.filter(r => r.source !== sourceName);
+        if (rule.target || rule.variables || rule.fallback) {
+            mapping.rules.push(rule);
         }
 
-        const srcSite = registry.sites.find(s => s.id === srcId);
-        const tgtSite = registry.sites.find(s => s.id === tgtId);
+        removeMappingIfEmpty(mapping);
+        saveRegistry();
+    }
 
-        if (!srcSite || !tgtSite) {
-            statusMsg.textContent = "サイトが選択されていません";
-            return;
-        }
+    /**
+     * Collapsible editor for the site pair's URL rewriting: source base URL (relative -> absolute),
+     * prefix / regex rules, and the old -> new article link table.
+     */
+    function buildUrlSettingsEditor(srcSite, tgtSite) {
+        const urls = getMappingUrls(srcSite.id, tgtSite.id) || {};
+        const count = (urls.rules || []).length + (urls.links || []).length;
 
-        statusMsg.textContent = "変換中...";
+        const details = document.createElement('details');
+        details.className = 'url-settings';
+        details.innerHTML = `
+            <summary>画像・リンクURLの書き換え (${urls.base ? 'ベースURLあり / ' : ''}${count}件)</summary>
+            <div class="part-editor">
+                <label>変換元サイトのURL (相対パスを絶対URLにします。例: https://old.example.com/)</label>
+                <input type="text" class="part-editor-name url-editor-base" value="${escapeHtml(urls.base || '')}">
+                <label>書き換えルール (1行に1つ「変換前の先頭 => 変換後の先頭」、正規表現は「regex: パターン => 置換後」)</label>
+                <textarea class="part-editor-pattern url-editor-rules" rows="3"
+                    placeholder="https://old.example.com/wp-content/uploads/ => https://new.example.com/images/">${escapeHtml(engine.serializeUrlRules(urls.rules || []))}</textarea>
+                <label>記事リンクの対応表 (1行に1つ「旧URL => 新URL」、またはタブ区切り)</label>
+                <textarea class="part-editor-pattern url-editor-links" rows="3">${escapeHtml((urls.links || []).map(l => `${l.from} => ${l.to}`).join('\n'))}</textarea>
+                <div class="part-editor-issues"></div>
+                <button class="btn-primary part-editor-save">保存</button>
+            </div>
+        `;
+        const baseInput = details.querySelector('.url-editor-base');
+        const rulesInput = details.querySelector('.url-editor-rules');
+        const linksInput = details.querySelector('.url-editor-links');
+        const issuesArea = details.querySelector('.part-editor-issues');
+        const saveBtn = details.querySelector('.part-editor-save');
 
-        // Run Migration
-        try {
-            const result = engine.migrate(sourceHtml, srcSite.parts, tgtSite.parts);
+        // Only filled-in fields are stored; messages collects parse / validation errors
+        const edited = (messages) => {
+            const candidate = {};
+            const rules = engine.parseUrlRules(rulesInput.value);
+            const links = engine.parseLinkTable(linksInput.value);
+            if (baseInput.value.trim()) candidate.base = baseInput.value.trim();
+            if (rules.rules.length > 0) candidate.rules = rules.rules;
+            if (links.links.length > 0) candidate.links = links.links;
+            messages.push(...rules.issues, ...links.issues.map(issue => `記事リンク ${issue}`));
+            messages.push(...engine.validateUrlSettings(candidate).map(issue => issue.message));
+            return candidate;
+        };
 
-            // Update Output
-            outputArea.value = result.code;
-            previewArea.innerHTML = result.preview;
+        const revalidate = () => {
+            const messages = [];
+            edited(messages);
+            issuesArea.innerHTML = messages.length === 0
+                ? ''
+                : messages.map(message => `<div style="color:#dc2626;">エラー: ${escapeHtml(message)}</div>`).join('');
+            saveBtn.disabled = messages.length > 0;
+        };
 
-            // Render Report
-            renderMissingReport(result.missing);
+        [baseInput, rulesInput, linksInput].forEach(input => input.addEventListener('input', revalidate));
+        saveBtn.onclick = () => {
+            const candidate = edited([]);
+            updateMappingSetting(srcSite.id, tgtSite.id, 'urls', Object.keys(candidate).length > 0 ? candidate : undefined);
+            details.querySelector('summary').textContent =
+                `画像・リンクURLの書き換え (${candidate.base ? 'ベースURLあり / ' : ''}${(candidate.rules || []).length + (candidate.links || []).length}件)`;
+            statusMsg.textContent = `${srcSite.name} → ${tgtSite.name} のURL書き換えを保存しました`;
+        };
+        return details;
+    }
 
-            // Switch to Report tab if there are issues? No, let user decide.
-            // But maybe show a badge count? (Enhancement for later)
-            if (result.missing && result.missing.length > 0) {
-                statusMsg.textContent = `完了しました (未変換: ${result.missing.length}件)`;
-            } else {
-                statusMsg.textContent = "完了しました";
-            }
+    // "title=heading, content=body" <-> { title: 'heading', content: 'body' }
+    function parseVariableMap(text) {
+        const map = {};
+        text.split(',').forEach(pair => {
+            const [from = '', to = ''] = pair.split('=').map(v => v.trim());
+            if (/^\w+$/.test(from) && /^\w+$/.test(to)) map[from] = to;
+        });
+        return map;
+    }
 
-        } catch (e) {
-            console.error(e);
-            statusMsg.textContent = "変換中にエラーが発生しました";
-        }
-    });
+    function formatVariableMap(map) {
+        return Object.entries(map || {}).map(([from, to]) => `${from}=${to}`).join(', ');
+    }
 
-    function renderMissingReport(missingList) {
-        const container = document.getElementById('missing-parts-container');
-        if (!missingList || missingList.length === 0) {
-            container.innerHTML = '<p style="color:#10b981;">未変換のパーツはありません。全て正常に処理されました。</p>';
+    function listPatternVariables(pattern) {
+        return [...engine.getPatternVariables(pattern).all];
+    }
+
+    function renderMappingEditor() {
+        const srcSite = findSiteId(srcSelect.value);
+        const tgtSite = findSiteId(tgtSelect.value);
+        mappingEditor.innerHTML = '';
+
+        if (!srcSite || !tgtSite) {
+            mappingEditor.innerHTML = '<p style="font-size:0.8rem; color:#666; margin:0;">変換元・変換先サイトを選択してください。</p>';
             return;
         }
 
+        const caption = document.createElement('p');
+        caption.style.fontSize = '0.8rem';
+        caption.style.color = '#666';
+        caption.style.margin = '0 0 5px';
+        caption.textContent = `${srcSite.name} → ${tgtSite.name} : 指定がないパーツは同名のパーツに変換されます。変数名が異なる場合は「元=先」の形式で対応を指定してください (例: title=heading)。変換先がないパーツは右端の列で処理を選べます。`;
+        mappingEditor.appendChild(caption);
+
+        const targetNames = tgtSite.parts.map(p => p.name);
+        const rules = getMappingRules(srcSite.id, tgtSite.id);
+
+        // Pair default for parts that end up without a target
+        const defaultRow = document.createElement('label');
+        defaultRow.style.display = 'block';
+        defaultRow.style.fontSize = '0.8rem';
+        defaultRow.style.margin = '0 0 5px';
+        defaultRow.textContent = '未対応パーツの既定の処理: ';
+        const defaultSelect = buildFallbackSelect(targetNames, FALLBACK_LABELS.keep, getMappingFallback(srcSite.id, tgtSite.id));
+        defaultSelect.options[1].remove(); // "keep" is already the empty option
+        defaultSelect.style.width = 'auto';
+        defaultSelect.onchange = () => updateMappingSetting(srcSite.id, tgtSite.id, 'fallback', decodeFallback(defaultSelect.value));
+        defaultRow.appendChild(defaultSelect);
+        mappingEditor.appendChild(defaultRow);
+        mappingEditor.appendChild(buildUrlSettingsEditor(srcSite, tgtSite));
+
         const table = document.createElement('table');
         table.style.width = '100%';
         table.style.borderCollapse = 'collapse';
-        table.style.fontSize = '0.85rem';
-
-        // Header
-        const thead = document.createElement('thead');
-        thead.innerHTML = `
-            <tr style="background:#f1f5f9; text-align:left;">
-                <th style="padding:8px; border:1px solid #cbd5e1;">パーツ名</th>
-                <th style="padding:8px; border:1px solid #cbd5e1;">パターン (Source)</th>
-            </tr>
-        `;
-        table.appendChild(thead);
+        table.style.fontSize = '0.8rem';
 
-        const tbody = document.createElement('tbody');
-        missingList.forEach(item => {
+        srcSite.parts.forEach(sPart => {
+            const tr = document.createElement('tr');
+            const rule = rules.find(r => r.source === sPart.name);
+
+            const nameTd = document.createElement('td');
+            nameTd.textContent = sPart.name;
+            nameTd.style.padding = '4px';
+            nameTd.style.borderBottom = '1px solid #f1f5f9';
+
+            const selectTd = document.createElement('td');
+            selectTd.style.padding = '4px';
+            selectTd.style.borderBottom = '1px solid #f1f5f9';
+
+            const select = document.createElement('select');
+            select.style.width = '100%';
+            const sameName = targetNames.includes(sPart.name);
+            select.add(new Option(sameName ? '(同名パーツ)' : '(未対応)', ''));
+            targetNames.forEach(name => select.add(new Option(name, name)));
+
+            select.value = rule && rule.target ? rule.target : '';
+            select.style.color = select.value || sameName ? '' : '#ef4444';
+
+            const varsTd = document.createElement('td');
+            varsTd.style.padding = '4px';
+            varsTd.style.borderBottom = '1px solid #f1f5f9';
+
+            const varsInput = document.createElement('input');
+            varsInput.type = 'text';
+            varsInput.style.width = '100%';
+            varsInput.style.fontSize = '0.75rem';
+            varsInput.value = formatVariableMap(rule && rule.variables);
+
+            // Hint: variables on each side of the currently resolved pair
+            const updateHint = () => {
+                const tPart = tgtSite.parts.find(p => p.name === (select.value || sPart.name));
+                const srcVars = listPatternVariables(sPart.pattern).join(',') || '-';
+                const tgtVars = tPart ? listPatternVariables(tPart.pattern).join(',') || '-' : '?';
+                varsInput.placeholder = `元: ${srcVars} / 先: ${tgtVars}`;
+                varsInput.title = varsInput.placeholder;
+            };
+            updateHint();
+
+            // Per-part fallback: only relevant (and only shown) while the part has no target
+            const fallbackTd = document.createElement('td');
+            fallbackTd.style.padding = '4px';
+            fallbackTd.style.borderBottom = '1px solid #f1f5f9';
+            const updateFallback = () => {
+                fallbackTd.innerHTML = '';
+                if (select.value || sameName) return;
+                const currentRule = getMappingRules(srcSite.id, tgtSite.id).find(r => r.source === sPart.name);
+                const fallbackSelect = buildFallbackSelect(targetNames, '(既定の処理)', currentRule && currentRule.fallback);
+                fallbackSelect.title = '変換先がない場合の処理';
+                fallbackSelect.onchange = () => {
+                    updateMappingRule(srcSite.id, tgtSite.id, sPart.name, { fallback: decodeFallback(fallbackSelect.value) });
+                };
+                fallbackTd.appendChild(fallbackSelect);
+            };
+            updateFallback();
+
+            select.onchange = () => {
+                updateMappingRule(srcSite.id, tgtSite.id, sPart.name, { target: select.value });
+                select.style.color = select.value || sameName ? '' : '#ef4444';
+                updateHint();
+                updateFallback();
+            };
+            varsInput.onchange = () => {
+                const variables = parseVariableMap(varsInput.value);
+                updateMappingRule(srcSite.id, tgtSite.id, sPart.name, { variables });
+                varsInput.value = formatVariableMap(variables);
+            };
+
+            selectTd.appendChild(select);
+            varsTd.appendChild(varsInput);
+            tr.appendChild(nameTd);
+            tr.appendChild(selectTd);
+            tr.appendChild(varsTd);
+            tr.appendChild(fallbackTd);
+            table.appendChild(tr);
+        });
+
+        mappingEditor.appendChild(table);
+    }
+
+    srcSelect.addEventListener('change', renderMappingEditor);
+    srcSelect.addEventListener('change', validateRegistry);
+    tgtSelect.addEventListener('change', renderMappingEditor);
+
+    // Toggle Registration
+    btnToggleReg.addEventListener('click', () => {
+        regArea.style.display = regArea.style.display === 'none' ? 'block' : 'none';
+    });
+
+    // Register New Site
+    btnRegister.addEventListener('click', () => {
+        const name = regNameInput.value.trim();
+        const file = regFileInput.files[0];
+
+        if (!name) {
+            alert("サイト名を入力してください");
+            return;
+        }
+        if (!file) {
+            alert("パーツ定義ファイル（.md）を選択してください");
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            registerMarkdown(name, e.target.result, file.name);
+        };
+        reader.readAsText(file);
+    });
+
+    /**
+     * Registers (or, for an existing name, merges) a site from a part definition file.
+     * Used by the Markdown upload and by the part suggestions. Returns true when registered.
+     */
+    function registerMarkdown(name, content, label) {
+        try {
+            const { parts, issues } = engine.lintMarkdownParts(content);
+
+            if (parts.length === 0) {
+                issues.push({ part: '-', level: 'error', message: '有効なパーツ定義が見つかりませんでした。フォーマットを確認してください。' });
+            }
+
+            // Errors block saving; warnings are shown but the definition is still registered
+            const results = issues.map(i => ({ site: name, ...i }));
+            renderValidationReport(results, `「${label}」の検証結果`);
+            if (results.some(r => r.level === 'error')) {
+                statusMsg.textContent = "パーツ定義にエラーがあるため登録できません (詳細はサイト管理の検証結果を確認)";
+                return false;
+            }
+
+            // Check update or new
+            // For simplicity, always create new ID unless we implement explicit 'Update' logic.
+            // But user wants "Re-upload". So if name matches, we overwrite?
+            // Let's check by name.
+
+            const existing = registry.sites.find(s => s.name === name);
+
+            // Clear inputs
+            regNameInput.value = '';
+            regFileInput.value = '';
+
+            if (existing) {
+                // Re-upload: show what changes and let the user choose (whole file or per part)
+                openMergeView(existing, parts, 'アップロード版', (choice, mergedParts) => {
+                    if (choice === 'local') return;
+                    existing.parts = choice === 'merge' ? mergedParts : parts;
+                    touchSite(existing);
+                    saveRegistry();
+                    updateUI();
+                    statusMsg.textContent = `サイト「${name}」定義を更新しました。(${existing.parts.length}パーツ)`;
+                });
+                statusMsg.textContent = `サイト「${name}」は既に存在します。差分を確認して反映方法を選んでください`;
+                return true;
+            }
+
+            const id = 'custom_' + Date.now();
+            const newSite = {
+                id: id,
+                name: name,
+                parts: parts
+            };
+            touchSite(newSite);
+            registry.sites.push(newSite);
+            alert(`新規サイト「${name}」を追加しました。(${parts.length}パーツ)`);
+
+            saveRegistry(); // Save changes
+            updateUI();
+            return true;
+
+        } catch (err) {
+            console.error(err);
+            renderValidationReport([{ site: name, part: '-', level: 'error', message: `ファイルの解析中にエラーが発生しました: ${err.message}` }],
+                `「${label}」の検証結果`);
+            return false;
+        }
+    }
+
+    // --- Part Suggestions (learn from sample articles) ---
+
+    let suggestions = []; // engine.suggestParts() result for the chosen samples
+
+    document.getElementById('btn-suggest-parts').addEventListener('click', async () => {
+        const files = [...document.getElementById('suggest-files').files];
+        if (files.length === 0) {
+            statusMsg.textContent = "サンプル記事 (HTML) を選択してください";
+            return;
+        }
+
+        // Parts of the site named in the registration form are not proposed again
+        const existing = registry.sites.find(s => s.name === regNameInput.value.trim());
+        const samples = await Promise.all(files.map(file => file.text()));
+        suggestions = engine.suggestParts(samples, { existingParts: existing ? existing.parts : [] });
+        renderSuggestions();
+        statusMsg.textContent = `${files.length}件のサンプルから${suggestions.length}パーツを提案しました`;
+    });
+
+    function renderSuggestions() {
+        const container = document.getElementById('part-suggestions');
+        if (suggestions.length === 0) {
+            container.innerHTML = '<p style="color:#666; font-size:0.8rem;">繰り返し出てくる要素が見つかりませんでした。サンプルを増やしてください。</p>';
+            return;
+        }
+
+        const items = suggestions.map((s, index) => `
+            <li class="suggestion" data-index="${index}">
+                <label><input type="checkbox" class="suggestion-use" checked></label>
+                <input type="text" class="suggestion-name" value="${escapeHtml(s.name)}">
+                <span class="suggestion-hits">${s.hits}回 / ${s.samples}記事</span>
+                <pre class="part-example">${escapeHtml(s.pattern)}</pre>
+            </li>
+        `).join('');
+
+        container.innerHTML = `
+            <ul class="suggestion-list">${items}</ul>
+            <div style="display:flex; gap:10px;">
+                <button id="btn-suggest-download" class="btn-secondary">Markdownをダウンロード</button>
+                <button id="btn-suggest-register" class="btn-primary">上のサイト名で登録</button>
+            </div>
+        `;
+        document.getElementById('btn-suggest-download').onclick = () => {
+            downloadFile('suggested_parts.md', selectedSuggestionsMarkdown(), 'text/markdown');
+        };
+        document.getElementById('btn-suggest-register').onclick = () => {
+            const name = regNameInput.value.trim();
+            if (!name) {
+                alert("サイト名を入力してください");
+                return;
+            }
+            if (registerMarkdown(name, selectedSuggestionsMarkdown(), '提案されたパーツ')) {
+                suggestions = [];
+                container.innerHTML = '';
+            }
+        };
+    }
+
+    // Checked suggestions with the (renamed) part names, in the parseMarkdownParts() format
+    function selectedSuggestionsMarkdown() {
+        const parts = [];
+        document.querySelectorAll('#part-suggestions .suggestion').forEach(li => {
+            if (!li.querySelector('.suggestion-use').checked) return;
+            const { pattern, description, example } = suggestions[Number(li.dataset.index)];
+            const name = li.querySelector('.suggestion-name').value.trim() || suggestions[Number(li.dataset.index)].name;
+            parts.push({ name, pattern, description, example });
+        });
+        return engine.serializeMarkdownParts(parts);
+    }
+
+    // Export JSON
+    document.getElementById('btn-export-json').addEventListener('click', () => {
+        // The exported file becomes the next server revision; serverHash is local bookkeeping only
+        const exported = {
+            ...registry,
+            version: (registry.version || 0) + 1,
+            sites: registry.sites.map(({ serverHash, ...site }) => site)
+        };
+        const jsonStr = JSON.stringify(exported, null, 2);
+        downloadFile('parts_registry.json', jsonStr, 'application/json');
+    });
+
+    // Single-site bundle: the site plus the mappings / fixtures that involve it
+    function exportSiteBundle(site) {
+        const related = (item) => item.from === site.id || item.to === site.id;
+        const { serverHash, ...exportedSite } = site;
+        const bundle = {
+            type: 'site-bundle',
+            version: registry.version || 0,
+            site: exportedSite,
+            mappings: registry.mappings.filter(related),
+            fixtures: registry.fixtures.filter(related)
+        };
+        downloadFile(`${site.name}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+    }
+
+    // --- Import (full registry or single-site bundle) ---
+
+    document.getElementById('import-json-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (ev) => {
+            e.target.value = '';
+            let parsed;
+            try {
+                parsed = JSON.parse(ev.target.result);
+            } catch (err) {
+                showImportErrors(file.name, [`JSONとして読み込めません: ${err.message}`]);
+                return;
+            }
+
+            // Bundles are normalized to the registry shape so both go through the same checks
+            const isBundle = parsed && parsed.type === 'site-bundle';
+            const data = isBundle
+                ? { sites: [parsed.site], mappings: parsed.mappings || [], fixtures: parsed.fixtures || [] }
+                : parsed;
+
+            const errors = engine.validateRegistryData(data);
+            if (errors.length > 0) {
+                showImportErrors(file.name, errors);
+                return;
+            }
+
+            pendingImport = {
+                data: { sites: data.sites, mappings: data.mappings || [], fixtures: data.fixtures || [] },
+                fileName: file.name
+            };
+            renderImportPreview();
+        };
+        reader.readAsText(file);
+    });
+
+    function showImportErrors(fileName, errors) {
+        pendingImport = null;
+        importPreview.innerHTML = `
+            <p style="color:#dc2626; font-size:0.85rem; margin:5px 0;">「${escapeHtml(fileName)}」は取り込めません (形式エラー ${errors.length}件)</p>
+            <ul style="font-size:0.8rem; color:#dc2626; margin:0; padding-left:20px; max-height:150px; overflow-y:auto;">
+                ${errors.map(err => `<li>${escapeHtml(err)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Works out what applying the import would do, given an action per imported site
+     * ('add' | 'replace' | 'rename' | 'skip'). Mappings and fixtures follow their sites:
+     * renamed sites get their references rewritten, skipped sites that exist locally keep
+     * theirs (the local copy stays), and those pointing at other skipped or unknown sites
+     * are ignored.
+     */
+    function planImport(data, actions) {
+        const idMap = {};
+        const sites = [];
+        data.sites.forEach((site, i) => {
+            const action = actions[site.id];
+            if (action === 'skip') {
+                idMap[site.id] = findSiteId(site.id) ? site.id : null;
+            } else if (action === 'rename') {
+                idMap[site.id] = `custom_${Date.now()}_${i}`;
+                // Names are used to find a site on re-upload, so keep them distinct too
+                sites.push({ action, site: { ...site, id: idMap[site.id], name: `${site.name} (インポート)` } });
+            } else {
+                idMap[site.id] = site.id;
+                sites.push({ action, site });
+            }
+        });
+
+        const resolve = (id) => id in idMap ? idMap[id] : (findSiteId(id) ? id : null);
+        let ignored = 0;
+        const follow = (items, extra) => items.map(item => {
+            const from = resolve(item.from);
+            const to = resolve(item.to);
+            if (!from || !to) {
+                ignored++;
+                return null;
+            }
+            return { ...item, from, to, ...extra(item, from !== item.from || to !== item.to) };
+        }).filter(Boolean);
+
+        const mappings = follow(data.mappings, () => ({}));
+        const fixtures = follow(data.fixtures, (fixture, moved) => moved ? { id: `${fixture.id}_${Date.now()}` } : {});
+
+        return { sites, mappings, fixtures, ignored };
+    }
+
+    function renderImportPreview() {
+        const { data, fileName } = pendingImport;
+        const cellStyle = 'padding:6px; border:1px solid #e2e8f0; vertical-align:top;';
+
+        const rows = data.sites.map(site => {
+            const existing = findSiteId(site.id);
+            const sameName = registry.sites.find(s => s.name === site.name && s.id !== site.id);
+            const issues = engine.validateParts(site.parts).filter(i => i.level === 'error').length;
+
+            let status;
+            let options;
+            if (!existing) {
+                status = '新規';
+                options = [['add', '追加'], ['skip', 'スキップ']];
+            } else if (siteSignature(existing) === siteSignature(site)) {
+                status = '既存と同一';
+                options = [['skip', 'スキップ'], ['replace', '置き換え'], ['rename', '別IDで追加']];
+            } else {
+                const diff = diffSiteParts(existing.parts, site.parts);
+                const count = (type) => diff.filter(d => d.status === type).length;
+                status = `既存と差分あり (変更 ${count('changed')} / 追加 ${count('incoming')} / 削除 ${count('local')})`;
+                options = [['replace', '置き換え'], ['rename', '別IDで追加'], ['skip', 'スキップ']];
+            }
+            const notes = [];
+            if (sameName) notes.push(`同名のサイト (ID: ${sameName.id}) があります`);
+            if (issues > 0) notes.push(`パーツ定義のエラー ${issues}件`);
+
+            return `
+                <tr>
+                    <td style="${cellStyle} font-weight:bold;">${escapeHtml(site.name)}<br><small style="font-weight:normal; color:#64748b;">${escapeHtml(site.id)}</small></td>
+                    <td style="${cellStyle}">${site.parts.length}パーツ${existing ? ` (現在 ${existing.parts.length})` : ''}</td>
+                    <td style="${cellStyle}">${escapeHtml(status)}${notes.map(n => `<div style="color:#d97706;">${escapeHtml(n)}</div>`).join('')}</td>
+                    <td style="${cellStyle}">
+                        <select class="import-action" data-site-id="${escapeHtml(site.id)}">
+                            ${options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                        </select>
+                    </td>
+                </tr>`;
+        }).join('');
+
+        importPreview.innerHTML = `
+            <p style="font-size:0.85rem; margin:5px 0;">「${escapeHtml(fileName)}」の取り込み内容 (まだ反映されていません)</p>
+            <table style="width:100%; border-collapse:collapse; font-size:0.8rem; background:#fff;">
+                <thead>
+                    <tr style="background:#f1f5f9; text-align:left;">
+                        <th style="padding:6px; border:1px solid #cbd5e1;">サイト</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">パーツ数</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">状態</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">処理</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="import-summary" style="font-size:0.8rem; color:#475569; margin:5px 0;"></p>
+            <div style="display:flex; gap:5px;">
+                <button id="btn-apply-import" class="btn-primary">取り込む</button>
+                <button id="btn-cancel-import" class="btn-secondary">キャンセル</button>
+            </div>
+        `;
+
+        updateImportSummary();
+        importPreview.querySelectorAll('.import-action').forEach(select => select.onchange = updateImportSummary);
+        document.getElementById('btn-apply-import').onclick = applyImport;
+        document.getElementById('btn-cancel-import').onclick = () => {
+            pendingImport = null;
+            importPreview.innerHTML = '';
+        };
+    }
+
+    function getImportActions() {
+        const actions = {};
+        importPreview.querySelectorAll('.import-action').forEach(select => actions[select.dataset.siteId] = select.value);
+        return actions;
+    }
+
+    function updateImportSummary() {
+        const plan = planImport(pendingImport.data, getImportActions());
+        const summary = [
+            `サイト ${plan.sites.length}件`,
+            `パーツ対応表 ${plan.mappings.length}件`,
+            `フィクスチャ ${plan.fixtures.length}件`
+        ];
+        if (plan.ignored > 0) summary.push(`対象サイトがないため無視: ${plan.ignored}件`);
+        importPreview.querySelector('.import-summary').textContent = `反映されるもの: ${summary.join(' / ')}`;
+    }
+
+    function applyImport() {
+        const plan = planImport(pendingImport.data, getImportActions());
+
+        plan.sites.forEach(({ action, site }) => {
+            const imported = { ...site };
+            touchSite(imported); // Keep it as a local change (see mergeLocalSite)
+
+            const index = registry.sites.findIndex(s => s.id === imported.id);
+            if (index !== -1) {
+                // Still based on the same server copy as the site it replaces
+                if (registry.sites[index].serverHash) imported.serverHash = registry.sites[index].serverHash;
+                registry.sites[index] = imported;
+            } else {
+                registry.sites.push(imported);
+            }
+            // An imported site must not stay hidden by an old soft delete of the same ID
+            trash = trash.filter(t => t.site.id !== imported.id);
+            delete conflicts[imported.id];
+        });
+
+        plan.mappings.forEach(mapping => {
+            registry.mappings = registry.mappings.filter(m => !(m.from === mapping.from && m.to === mapping.to));
+            registry.mappings.push(mapping);
+        });
+        plan.fixtures.forEach(fixture => {
+            registry.fixtures = registry.fixtures.filter(f => f.id !== fixture.id);
+            registry.fixtures.push(fixture);
+        });
+
+        pendingImport = null;
+        importPreview.innerHTML = '';
+        saveRegistry();
+        updateUI();
+        validateRegistry();
+        statusMsg.textContent = `取り込みました (サイト ${plan.sites.length}件 / パーツ対応表 ${plan.mappings.length}件 / フィクスチャ ${plan.fixtures.length}件)`;
+    }
+
+    // content: string or Blob
+    function downloadFile(filename, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // Convert Action
+    btnConvert.addEventListener('click', () => {
+        if (!registry) return;
+
+        const srcId = srcSelect.value;
+        const tgtId = tgtSelect.value;
+        const pastedHtml = inputArea.value;
+
+        if (!pastedHtml.trim()) {
+            statusMsg.textContent = "HTMLを貼り付けてください";
+            return;
+        }
+
+        const srcSite = registry.sites.find(s => s.id === srcId);
+        const tgtSite = registry.sites.find(s => s.id === tgtId);
+
+        if (!srcSite || !tgtSite) {
+            statusMsg.textContent = "サイトが選択されていません";
+            return;
+        }
+
+        statusMsg.textContent = "変換中...";
+
+        // Run Migration
+        try {
+            const input = readPastedInput();
+            if (!input) return;
+            if (input.articles.length > 1) {
+                // e.g. a WordPress export: every post goes through batch mode
+                document.querySelector('.batch-panel').open = true;
+                runBatch(input.articles, srcSite, tgtSite);
+                return;
+            }
+
+            const article = input.articles[0];
+            const conversion = convertArticle(article.html, srcSite, tgtSite, article.pageHtml);
+            if (input.adapter.id !== 'html') conversion.notes.unshift(`入力形式: ${input.adapter.label}`);
+            showConversion(conversion, srcSite, tgtSite);
+
+            // Switch to Report tab if there are issues? No, let user decide.
+            // But maybe show a badge count? (Enhancement for later)
+            const issues = summarizeConversion(conversion);
+            statusMsg.textContent = issues.length > 0 ? `完了しました (${issues.join(' / ')})` : "完了しました";
+
+        } catch (e) {
+            console.error(e);
+            statusMsg.textContent = "変換中にエラーが発生しました";
+        }
+    });
+
+    /**
+     * One article through the current settings: whole-document extraction, part mapping,
+     * fallbacks, URL rewriting and metadata. Shared by the convert button and batch mode.
+     * @param {string} [pageHtml] - page to read metadata from, if not pastedHtml (input adapters)
+     * @returns {{result, sourceHtml, page, notes: Array<string>, cleanup, passes: number, viaCanonical: boolean}}
+     *          sourceHtml: what was migrated (the extracted body in whole-document mode)
+     *          page: target page settings when the output gets wrapped in its article container
+     *          cleanup: { sanitize, urls } the output was post-processed with (for applyReview())
+     *          passes / viaCanonical: conversion options a fixture has to be replayed with
+     */
+    function convertArticle(pastedHtml, srcSite, tgtSite, pageHtml = pastedHtml) {
+        const notes = [];
+        const sourceHtml = extractSourceHtml(pastedHtml, srcSite, notes);
+        const mapping = conversionMapping(srcSite, tgtSite, notes);
+        const passes = multiPassCheckbox.checked ? MAX_MIGRATION_PASSES : 1;
+        // Re-applied to the output when replacements are rejected in review
+        const cleanup = { sanitize: tgtSite.page && tgtSite.page.sanitize, urls: mapping.options.urls };
+        const result = engine.migrate(sourceHtml, srcSite.parts, tgtSite.parts, {
+            ...mapping.options,
+            ...cleanup,
+            metadataRules: srcSite.page && srcSite.page.metadata,
+            pageHtml,
+            passes
+        });
+
+        let page = null;
+        if (wrapArticleCheckbox.checked) {
+            if (tgtSite.page && tgtSite.page.wrapper) {
+                page = tgtSite.page;
+            } else {
+                notes.push('変換先サイトに記事コンテナが未設定');
+            }
+        }
+        return { result, sourceHtml, page, notes, cleanup, passes, viaCanonical: !!mapping.canonical };
+    }
+
+    /**
+     * Mapping options for migrate(): the site pair's own mapping, or - when converting through the
+     * canonical vocabulary - the source -> canonical and canonical -> target mappings combined.
+     * @returns {{options, canonical}} see MigrationEngine.siteMappingOptions()
+     */
+    function conversionMapping(srcSite, tgtSite, notes) {
+        const mapping = engine.siteMappingOptions(registry, srcSite, tgtSite, viaCanonicalCheckbox.checked);
+        if (viaCanonicalCheckbox.checked && !registry.sites.some(s => s.canonical)) {
+            notes.push('共通語彙のサイトが未設定のため直接変換');
+        } else if (mapping.canonical) {
+            notes.push(`共通語彙「${mapping.canonical.name}」経由`);
+        }
+        return mapping;
+    }
+
+    // Final (wrapped) code of a conversion
+    function conversionCode(conversion) {
+        return conversion.page ? engine.wrapArticle(conversion.result.code, conversion.page) : conversion.result.code;
+    }
+
+    function summarizeConversion({ result, notes }) {
+        const issues = [...notes];
+        if (result.missing.length > 0) issues.push(`未変換: ${result.missing.length}件`);
+        if (result.warnings.length > 0) issues.push(`変数の警告: ${result.warnings.length}件`);
+        if (result.fallbacks.length > 0) issues.push(`フォールバック適用: ${result.fallbacks.length}パーツ`);
+        if (result.metadataIssues.length > 0) issues.push(`メタデータのルールエラー: ${result.metadataIssues.length}件`);
+        if (result.urlIssues.length > 0) issues.push(`URL書き換えルールのエラー: ${result.urlIssues.length}件`);
+        const stripped = result.sanitized.filter(s => s.type !== 'empty').reduce((sum, s) => sum + s.count, 0);
+        if (stripped > 0) issues.push(`許可リストで除去: ${stripped}件`);
+        if (result.passes > 1) issues.push(`${result.passes}回変換`);
+        if (result.cycle) issues.push('繰り返し変換を打ち切り (パーツ同士が変換し合っている)');
+        if (result.passLimit) issues.push(`変換回数の上限 (${result.passes}回) に到達`);
+        return issues;
+    }
+
+    // Shows a conversion in every result tab (code views, review, metadata, assets, reports)
+    function showConversion(conversion, srcSite, tgtSite) {
+        const { result, sourceHtml } = conversion;
+
+        // Update Output
+        lastOutput = { code: result.code, targetId: tgtSite.id, metadata: result.metadata, assets: result.assets };
+        lastConversion = {
+            input: sourceHtml,
+            code: result.code,
+            from: srcSite.id,
+            to: tgtSite.id,
+            passes: conversion.passes,
+            viaCanonical: conversion.viaCanonical
+        };
+        lastReview = { marked: result.unprocessed, replacements: result.replacements, rejected: new Set(), cleanup: conversion.cleanup };
+        if (conversion.page) lastReview.page = conversion.page;
+        showOutput(result);
+        renderReviewList();
+        renderMetadata(result.metadata, result.metadataIssues);
+
+        // Render Report
+        renderMissingReport(result.missing);
+        renderWarningReport(result.warnings);
+        renderFallbackReport(result.fallbacks);
+        renderSanitizeReport(result.sanitized);
+        renderCoverageReport(engine.analyze(sourceHtml, srcSite.parts));
+    }
+
+    // --- Batch Mode (several files or a ZIP, all in the browser) ---
+
+    let batch = null; // { srcId, tgtId, items: [{ name, html, pageHtml?, conversion?, error? }] }
+
+    // Reads the chosen files; ZIPs are expanded. Every file goes through its input adapter
+    // (input_adapters.js), so a WordPress export yields one item per post.
+    async function readBatchFiles(fileList) {
+        const items = [];
+        const addFile = (name, text) => {
+            const format = /\.(html?|md|markdown|xml)$/i.test(name) ? 'auto' : 'html';
+            items.push(...readInputArticles(text, name, format).articles);
+        };
+        for (const file of fileList) {
+            if (/\.zip$/i.test(file.name)) {
+                const entries = await readZip(await file.arrayBuffer());
+                entries
+                    .filter(entry => /\.(html?|md|markdown|xml)$/i.test(entry.name) && !entry.name.startsWith('__MACOSX/'))
+                    .forEach(entry => addFile(entry.name, new TextDecoder('utf-8').decode(entry.data)));
+            } else {
+                addFile(file.name, await file.text());
+            }
+        }
+        return items;
+    }
+
+    document.getElementById('btn-run-batch').addEventListener('click', async () => {
+        const srcSite = findSiteId(srcSelect.value);
+        const tgtSite = findSiteId(tgtSelect.value);
+        const fileInput = document.getElementById('batch-files');
+
+        if (!srcSite || !tgtSite) {
+            statusMsg.textContent = "サイトが選択されていません";
+            return;
+        }
+        if (fileInput.files.length === 0) {
+            statusMsg.textContent = "変換するHTMLファイル (またはZIP) を選択してください";
+            return;
+        }
+
+        let items;
+        try {
+            items = await readBatchFiles([...fileInput.files]);
+        } catch (e) {
+            console.error(e);
+            statusMsg.textContent = `ファイルを読み込めませんでした (${e.message})`;
+            return;
+        }
+        if (items.length === 0) {
+            statusMsg.textContent = "変換できる記事が見つかりませんでした";
+            return;
+        }
+
+        runBatch(items, srcSite, tgtSite);
+    });
+
+    async function runBatch(items, srcSite, tgtSite) {
+        batch = { srcId: srcSite.id, tgtId: tgtSite.id, items };
+        for (let i = 0; i < items.length; i++) {
+            statusMsg.textContent = `一括変換中... (${i + 1}/${items.length})`;
+            try {
+                items[i].conversion = convertArticle(items[i].html, srcSite, tgtSite, items[i].pageHtml);
+            } catch (e) {
+                console.error(e);
+                items[i].error = e.message;
+            }
+            // Let the status (and the rest of the page) repaint between files
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        renderBatchResults();
+        const failed = items.filter(item => item.error || item.conversion.result.missing.length > 0).length;
+        statusMsg.textContent = `一括変換が完了しました (${items.length}ファイル / 要確認: ${failed}ファイル)`;
+    }
+
+    function batchStatus(item) {
+        if (item.error) return { label: 'エラー', color: '#dc2626' };
+        if (item.conversion.result.missing.length > 0) return { label: '未変換あり', color: '#d97706' };
+        return { label: 'OK', color: '#10b981' };
+    }
+
+    function renderBatchResults() {
+        const container = document.getElementById('batch-results');
+        const cellStyle = 'padding:6px; border:1px solid #e2e8f0;';
+        const rows = batch.items.map((item, index) => {
+            const status = batchStatus(item);
+            const result = item.conversion ? item.conversion.result : null;
+            if (!result) {
+                return `
+                <tr>
+                    <td style="${cellStyle} word-break:break-all;">${escapeHtml(item.name)}</td>
+                    <td style="${cellStyle} color:${status.color}; font-weight:bold; white-space:nowrap;">${status.label}</td>
+                    <td style="${cellStyle}" colspan="4">${escapeHtml(item.error)}</td>
+                </tr>`;
+            }
+            const missingNames = result.missing.map(m => m.name).join(', ');
+            return `
+                <tr>
+                    <td style="${cellStyle} word-break:break-all;">${escapeHtml(item.name)}</td>
+                    <td style="${cellStyle} color:${status.color}; font-weight:bold; white-space:nowrap;">${status.label}</td>
+                    <td style="${cellStyle} text-align:right;" title="${escapeHtml(missingNames)}">${result.missing.length}</td>
+                    <td style="${cellStyle} text-align:right;">${result.warnings.length}</td>
+                    <td style="${cellStyle} text-align:right;">${result.fallbacks.length}</td>
+                    <td style="${cellStyle}"><button class="btn-secondary batch-open" data-index="${index}">開く</button></td>
+                </tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table style="width:100%; border-collapse:collapse; font-size:0.8rem;">
+                <thead>
+                    <tr style="background:#f1f5f9; text-align:left;">
+                        <th style="padding:6px; border:1px solid #cbd5e1;">ファイル</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">状態</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">未変換</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">警告</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">フォールバック</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;"></th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        document.getElementById('btn-download-batch').disabled = false;
+    }
+
+    // Opens one batch file in the regular result tabs (and puts its HTML in the input area)
+    document.getElementById('batch-results').addEventListener('click', (e) => {
+        const btn = e.target.closest('.batch-open');
+        if (!btn || !batch) return;
+        const item = batch.items[Number(btn.dataset.index)];
+        const srcSite = findSiteId(batch.srcId);
+        const tgtSite = findSiteId(batch.tgtId);
+        if (!srcSite || !tgtSite) {
+            statusMsg.textContent = "一括変換したサイトが見つかりません";
+            return;
+        }
+
+        inputArea.value = item.html;
+        showConversion(item.conversion, srcSite, tgtSite);
+        const issues = summarizeConversion(item.conversion);
+        statusMsg.textContent = `${item.name}${issues.length > 0 ? ` (${issues.join(' / ')})` : ''}`;
+    });
+
+    // Converted files keep their names / folders; _report.csv (summary) and _report.json (details) are added
+    document.getElementById('btn-download-batch').addEventListener('click', () => {
+        if (!batch) return;
+        const srcSite = findSiteId(batch.srcId);
+        const tgtSite = findSiteId(batch.tgtId);
+        const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+        const files = batch.items
+            .filter(item => item.conversion)
+            .map(item => ({ name: item.name, data: conversionCode(item.conversion) }));
+
+        const csv = [['file', 'status', 'missing', 'missing_parts', 'warnings', 'fallbacks', 'title'].join(',')]
+            .concat(batch.items.map(item => {
+                const result = item.conversion ? item.conversion.result : null;
+                return [
+                    item.name,
+                    batchStatus(item).label,
+                    result ? result.missing.length : '',
+                    result ? result.missing.map(m => m.name).join(' / ') : item.error,
+                    result ? result.warnings.length : '',
+                    result ? result.fallbacks.length : '',
+                    result ? result.metadata.title : ''
+                ].map(quote).join(',');
+            }));
+        // BOM so Excel opens the Japanese text as UTF-8
+        files.push({ name: '_report.csv', data: '\uFEFF' + csv.join('\n') + '\n' });
+
+        const report = {
+            from: srcSite ? srcSite.name : batch.srcId,
+            to: tgtSite ? tgtSite.name : batch.tgtId,
+            files: batch.items.map(item => item.conversion ? {
+                file: item.name,
+                missing: item.conversion.result.missing.map(m => m.name),
+                warnings: item.conversion.result.warnings,
+                fallbacks: item.conversion.result.fallbacks,
+                notes: item.conversion.notes,
+                metadata: item.conversion.result.metadata,
+                assets: item.conversion.result.assets
+            } : { file: item.name, error: item.error })
+        };
+        files.push({ name: '_report.json', data: JSON.stringify(report, null, 2) });
+
+        downloadFile('converted.zip', createZip(files));
+    });
+
+    // Dry Run: coverage analysis only (no conversion)
+    btnAnalyze.addEventListener('click', () => {
+        const srcSite = registry.sites.find(s => s.id === srcSelect.value);
+        const pastedHtml = inputArea.value;
+
+        if (!pastedHtml.trim()) {
+            statusMsg.textContent = "HTMLを貼り付けてください";
+            return;
+        }
+        if (!srcSite) {
+            statusMsg.textContent = "サイトが選択されていません";
+            return;
+        }
+
+        try {
+            const input = readPastedInput();
+            if (!input) return;
+            const notes = [];
+            if (input.articles.length > 1) notes.push(`${input.articles.length}記事のうち1件目`);
+            const analysis = engine.analyze(extractSourceHtml(input.articles[0].html, srcSite, notes), srcSite.parts);
+            renderCoverageReport(analysis);
+
+            const hitParts = analysis.parts.filter(p => p.hits > 0).length;
+            notes.push(`マッチ: ${hitParts}パーツ`, `未定義要素: ${analysis.unrecognized.length}種類`);
+            statusMsg.textContent = `解析しました (${notes.join(' / ')})`;
+
+            // Show the report tab
+            document.querySelector('.tab-btn[data-tab="report"]').click();
+        } catch (e) {
+            console.error(e);
+            statusMsg.textContent = "解析中にエラーが発生しました";
+        }
+    });
+
+    // --- Input Formats (input_adapters.js) ---
+
+    INPUT_ADAPTERS.forEach(adapter => inputFormatSelect.add(new Option(adapter.label, adapter.id)));
+
+    /**
+     * The input area through the chosen (or detected) input adapter.
+     * @returns {{adapter, articles}|null} null (with a status message) when nothing usable was found
+     */
+    function readPastedInput() {
+        let input;
+        try {
+            input = readInputArticles(inputArea.value, '', inputFormatSelect.value);
+        } catch (e) {
+            statusMsg.textContent = `入力を読み込めませんでした (${e.message})`;
+            return null;
+        }
+        if (input.articles.length === 0) {
+            statusMsg.textContent = `${input.adapter.label}に記事が見つかりませんでした`;
+            return null;
+        }
+        // Batch items and downloads need a file name
+        input.articles.forEach((article, i) => article.name = article.name || `article-${i + 1}.html`);
+        return input;
+    }
+
+    // Pasting from Word / Google Docs: keep the clipboard's HTML (a textarea would only get the
+    // plain text) and clean it up right away
+    inputArea.addEventListener('paste', (e) => {
+        const html = e.clipboardData && e.clipboardData.getData('text/html');
+        const word = INPUT_ADAPTERS.find(adapter => adapter.id === 'word');
+        if (!html || !word.detect(html, '')) return;
+
+        e.preventDefault();
+        inputArea.setRangeText(cleanWordHtml(html, window), inputArea.selectionStart, inputArea.selectionEnd, 'end');
+        statusMsg.textContent = "Word / Googleドキュメントの書式を整理して貼り付けました";
+    });
+
+    /**
+     * Whole-document mode: when enabled, only the article body (source site's page settings) is
+     * converted / analyzed. Offsets in the reports then refer to the extracted body.
+     * Adds a status note to 'notes'.
+     */
+    function extractSourceHtml(pastedHtml, srcSite, notes) {
+        if (!wholePageCheckbox.checked) return pastedHtml;
+
+        const page = srcSite.page || {};
+        const extracted = engine.extractArticle(pastedHtml, page);
+        if (page.contentRoot && !extracted.found) {
+            notes.push(`本文「${page.contentRoot}」が見つからないため<body>全体を変換`);
+        } else {
+            notes.push(`本文を抽出: ${page.contentRoot || '<body>'}${extracted.excluded > 0 ? ` (除外 ${extracted.excluded}要素)` : ''}`);
+        }
+        return extracted.html;
+    }
+
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+    function formatRanges(ranges) {
+        return ranges.map(r => `${r.start}-${r.end}`).join(', ');
+    }
+
+    function renderCoverageReport(analysis) {
+        const container = document.getElementById('coverage-container');
+        const cellStyle = 'padding:8px; border:1px solid #e2e8f0;';
+        const headStyle = 'padding:8px; border:1px solid #cbd5e1;';
+
+        const hitParts = analysis.parts.filter(p => p.hits > 0);
+        const partRows = hitParts.map(p => `
+            <tr>
+                <td style="${cellStyle} font-weight:bold;">${escapeHtml(p.name)}</td>
+                <td style="${cellStyle} text-align:right;">${p.hits}</td>
+                <td style="${cellStyle} font-family:monospace; word-break:break-all;">${formatRanges(p.ranges)}</td>
+            </tr>
+        `).join('');
+
+        const unrecognizedRows = analysis.unrecognized.map(u => `
+            <tr>
+                <td style="${cellStyle} font-family:monospace; font-weight:bold;">${escapeHtml(u.signature)}</td>
+                <td style="${cellStyle} text-align:right;">${u.count}</td>
+                <td style="${cellStyle} font-family:monospace; word-break:break-all;">${formatRanges(u.ranges)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <p style="font-size:0.85rem; font-weight:bold; margin:0 0 5px;">マッチしたパーツ (${hitParts.length} / ${analysis.parts.length})</p>
+            ${hitParts.length === 0 ? '<p style="color:#666; font-size:0.85rem;">マッチしたパーツはありません。</p>' : `
+            <table style="width:100%; border-collapse:collapse; font-size:0.85rem; margin-bottom:15px;">
+                <thead>
+                    <tr style="background:#f1f5f9; text-align:left;">
+                        <th style="${headStyle}">パーツ名</th>
+                        <th style="${headStyle}">回数</th>
+                        <th style="${headStyle}">位置</th>
+                    </tr>
+                </thead>
+                <tbody>${partRows}</tbody>
+            </table>`}
+            <p style="font-size:0.85rem; font-weight:bold; margin:0 0 5px;">どのパーツにも該当しない要素</p>
+            ${analysis.unrecognized.length === 0 ? '<p style="color:#10b981; font-size:0.85rem;">未定義の要素はありません。</p>' : `
+            <table style="width:100%; border-collapse:collapse; font-size:0.85rem;">
+                <thead>
+                    <tr style="background:#f1f5f9; text-align:left;">
+                        <th style="${headStyle}">要素 (タグ.class)</th>
+                        <th style="${headStyle}">回数</th>
+                        <th style="${headStyle}">位置</th>
+                    </tr>
+                </thead>
+                <tbody>${unrecognizedRows}</tbody>
+            </table>`}
+        `;
+    }
+
+    function describeWarning(w) {
+        if (w.type === 'unused_variable') {
+            return `変数 {{${w.variable}}} は変換先「${w.target}」で使われていないため、内容が失われました`;
+        }
+        return `変換先「${w.target}」の変数 {{${w.variable}}} に対応する値がありません`;
+    }
+
+    function renderWarningReport(warnings) {
+        const container = document.getElementById('warning-container');
+        if (!warnings || warnings.length === 0) {
+            container.innerHTML = '<p style="color:#10b981; font-size:0.85rem;">変数の不一致はありません。</p>';
+            return;
+        }
+
+        const cellStyle = 'padding:8px; border:1px solid #e2e8f0;';
+        const rows = warnings.map(w => `
+            <tr>
+                <td style="${cellStyle} font-weight:bold;">${escapeHtml(w.part)}</td>
+                <td style="${cellStyle}">${escapeHtml(describeWarning(w))}</td>
+                <td style="${cellStyle} text-align:right;">${w.count}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table style="width:100%; border-collapse:collapse; font-size:0.85rem;">
+                <thead>
+                    <tr style="background:#fef3c7; text-align:left;">
+                        <th style="padding:8px; border:1px solid #cbd5e1;">パーツ名</th>
+                        <th style="padding:8px; border:1px solid #cbd5e1;">内容</th>
+                        <th style="padding:8px; border:1px solid #cbd5e1;">回数</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    function renderFallbackReport(fallbacks) {
+        const container = document.getElementById('fallback-container');
+        if (!fallbacks || fallbacks.length === 0) {
+            container.innerHTML = '<p style="color:#666; font-size:0.85rem;">フォールバックは適用されていません。</p>';
+            return;
+        }
+
+        const cellStyle = 'padding:8px; border:1px solid #e2e8f0;';
+        const rows = fallbacks.map(f => `
+            <tr>
+                <td style="${cellStyle} font-weight:bold;">${escapeHtml(f.part)}</td>
+                <td style="${cellStyle}">${escapeHtml(FALLBACK_LABELS[f.strategy])}${f.target ? `: ${escapeHtml(f.target)}` : ''}</td>
+                <td style="${cellStyle} text-align:right;">${f.count}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table style="width:100%; border-collapse:collapse; font-size:0.85rem;">
+                <thead>
+                    <tr style="background:#ede9fe; text-align:left;">
+                        <th style="padding:8px; border:1px solid #cbd5e1;">パーツ名</th>
+                        <th style="padding:8px; border:1px solid #cbd5e1;">適用した処理</th>
+                        <th style="padding:8px; border:1px solid #cbd5e1;">回数</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    const SANITIZE_LABELS = {
+        tag: 'タグ',
+        attribute: '属性',
+        class: 'class',
+        empty: '空要素'
+    };
+
+    // What the target site's allow-list policy (and the empty element cleanup) removed from the output
+    function renderSanitizeReport(sanitized) {
+        const container = document.getElementById('sanitize-container');
+        if (!sanitized || sanitized.length === 0) {
+            container.innerHTML = '<p style="color:#666; font-size:0.85rem;">除去したものはありません。</p>';
+            return;
+        }
+
+        const cellStyle = 'padding:8px; border:1px solid #e2e8f0;';
+        const rows = sanitized.map(s => `
+            <tr>
+                <td style="${cellStyle}">${SANITIZE_LABELS[s.type]}</td>
+                <td style="${cellStyle} font-family:monospace;">${escapeHtml(s.type === 'class' ? `.${s.name}` : s.type === 'attribute' ? s.name : `<${s.name}>`)}</td>
+                <td style="${cellStyle} text-align:right;">${s.count}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <table style="width:100%; border-collapse:collapse; font-size:0.85rem;">
+                <thead>
+                    <tr style="background:#fee2e2; text-align:left;">
+                        <th style="padding:8px; border:1px solid #cbd5e1;">種類</th>
+                        <th style="padding:8px; border:1px solid #cbd5e1;">除去したもの</th>
+                        <th style="padding:8px; border:1px solid #cbd5e1;">回数</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    function renderMissingReport(missingList) {
+        const container = document.getElementById('missing-parts-container');
+        if (!missingList || missingList.length === 0) {
+            container.innerHTML = '<p style="color:#10b981;">未変換のパーツはありません。全て正常に処理されました。</p>';
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.style.width = '100%';
+        table.style.borderCollapse = 'collapse';
+        table.style.fontSize = '0.85rem';
+
+        // Header
+        const thead = document.createElement('thead');
+        thead.innerHTML = `
+            <tr style="background:#f1f5f9; text-align:left;">
+                <th style="padding:8px; border:1px solid #cbd5e1;">パーツ名</th>
+                <th style="padding:8px; border:1px solid #cbd5e1;">パターン (Source)</th>
+            </tr>
+        `;
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        missingList.forEach(item => {
             const tr = document.createElement('tr');
             tr.innerHTML = `
                 <td style="padding:8px; border:1px solid #e2e8f0; font-weight:bold;">${item.name}</td>
@@ -339,6 +2151,463 @@ document.addEventListener('DOMContentLoaded', () => {
         container.appendChild(table);
     }
 
+    // --- Regression Fixtures (input + expected output per site pair) ---
+
+    // One click: stores the last conversion as-is (review rejections are not part of the fixture,
+    // since the fixture checks what migrate() produces), with the pass / canonical options it ran with
+    document.getElementById('btn-add-fixture').addEventListener('click', () => {
+        if (!lastConversion) {
+            statusMsg.textContent = "先に変換を実行してください";
+            return;
+        }
+        const srcSite = findSiteId(lastConversion.from);
+        const tgtSite = findSiteId(lastConversion.to);
+        const pairCount = registry.fixtures.filter(f => f.from === lastConversion.from && f.to === lastConversion.to).length;
+        const modes = [];
+        if (lastConversion.viaCanonical) modes.push('共通語彙経由');
+        if (lastConversion.passes > 1) modes.push('繰り返し変換');
+
+        const fixture = {
+            id: 'fixture_' + Date.now(),
+            name: `${srcSite ? srcSite.name : lastConversion.from} → ${tgtSite ? tgtSite.name : lastConversion.to} #${pairCount + 1}`
+                + (modes.length > 0 ? ` (${modes.join(' / ')})` : ''),
+            from: lastConversion.from,
+            to: lastConversion.to,
+            input: lastConversion.input,
+            expected: lastConversion.code
+        };
+        if (lastConversion.passes > 1) fixture.passes = lastConversion.passes;
+        if (lastConversion.viaCanonical) fixture.viaCanonical = true;
+        registry.fixtures.push(fixture);
+        saveRegistry();
+        renderFixtureList();
+        statusMsg.textContent = `フィクスチャを追加しました (全${registry.fixtures.length}件)`;
+    });
+
+    document.getElementById('btn-run-fixtures').addEventListener('click', () => {
+        if (registry.fixtures.length === 0) {
+            statusMsg.textContent = "フィクスチャがありません";
+            return;
+        }
+        fixtureResults = {};
+        engine.runFixtures(registry, registry.fixtures).forEach(result => {
+            fixtureResults[result.fixture.id] = result;
+        });
+        renderFixtureList();
+
+        const failed = Object.values(fixtureResults).filter(r => r.status !== 'pass').length;
+        statusMsg.textContent = failed > 0
+            ? `回帰テスト: ${failed}件が失敗しました (全${registry.fixtures.length}件)`
+            : `回帰テスト: 全${registry.fixtures.length}件成功しました`;
+        document.querySelector('.tab-btn[data-tab="fixtures"]').click();
+    });
+
+    function renderFixtureList() {
+        const container = document.getElementById('fixture-container');
+        if (registry.fixtures.length === 0) {
+            container.innerHTML = '<p style="color:#666; font-size:0.85rem;">フィクスチャはまだありません。変換後に「フィクスチャに追加」を押すと登録されます。</p>';
+            return;
+        }
+
+        container.innerHTML = '';
+        registry.fixtures.forEach(fixture => {
+            const result = fixtureResults[fixture.id];
+            const item = document.createElement('div');
+            item.className = `fixture-item ${result ? `fixture-${result.status}` : ''}`;
+
+            const label = result
+                ? { pass: 'PASS', fail: 'FAIL', error: 'ERROR' }[result.status]
+                : '未実行';
+            let detail = '';
+            if (result && result.status === 'fail') {
+                const lines = result.diff.map(line => {
+                    const prefix = { same: '  ', removed: '- ', added: '+ ' }[line.type];
+                    return `<span class="fixture-diff-${line.type}">${escapeHtml(prefix + line.text)}</span>`;
+                }).join('\n');
+                detail = `<pre class="fixture-diff">${lines}</pre>`;
+            } else if (result && result.status === 'error') {
+                detail = `<p style="color:#dc2626; font-size:0.8rem; margin:5px 0 0;">${escapeHtml(result.message)}</p>`;
+            }
+
+            item.innerHTML = `
+                <div style="display:flex; justify-content:space-between; align-items:center; gap:10px;">
+                    <span><b class="fixture-status">${label}</b> ${escapeHtml(fixture.name)}</span>
+                    <button class="btn-secondary" style="font-size:0.75rem; padding:2px 8px;">削除</button>
+                </div>
+                ${detail}
+            `;
+            item.querySelector('button').onclick = () => {
+                if (!confirm(`フィクスチャ「${fixture.name}」を削除しますか？`)) return;
+                registry.fixtures = registry.fixtures.filter(f => f.id !== fixture.id);
+                delete fixtureResults[fixture.id];
+                saveRegistry();
+                renderFixtureList();
+            };
+            container.appendChild(item);
+        });
+    }
+
+    // --- Part Definition Validation ---
+
+    /**
+     * Lints every registered site (the selected source site also as a conversion source);
+     * shows the report only when something is wrong.
+     * @returns {number} number of issues found
+     */
+    function validateRegistry() {
+        const results = [];
+        registry.sites.forEach(site => {
+            engine.validateParts(site.parts, { source: site.id === srcSelect.value })
+                .forEach(issue => results.push({ site: site.name, ...issue }));
+        });
+
+        if (results.length > 0) {
+            renderValidationReport(results, '登録済みパーツ定義の検証結果');
+        } else {
+            validationReport.innerHTML = '';
+        }
+        return results.length;
+    }
+
+    // The report lives in the site manager, which is collapsed by default
+    function revealValidationReport() {
+        regArea.style.display = 'block';
+        validationReport.scrollIntoView({ block: 'nearest' });
+    }
+
+    function renderValidationReport(results, title) {
+        if (results.length === 0) {
+            validationReport.innerHTML = `<p style="color:#10b981; font-size:0.85rem; margin:0;">${escapeHtml(title)}: 問題は見つかりませんでした。</p>`;
+            return;
+        }
+
+        const errorCount = results.filter(r => r.level === 'error').length;
+        const warningCount = results.length - errorCount;
+        const cellStyle = 'padding:6px; border:1px solid #e2e8f0; vertical-align:top;';
+        const rows = results.map(r => `
+            <tr>
+                <td style="${cellStyle} white-space:nowrap; font-weight:bold; color:${r.level === 'error' ? '#dc2626' : '#d97706'};">
+                    ${r.level === 'error' ? 'エラー' : '警告'}
+                </td>
+                <td style="${cellStyle}">${escapeHtml(r.site)}</td>
+                <td style="${cellStyle} font-weight:bold;">${escapeHtml(r.part)}</td>
+                <td style="${cellStyle} word-break:break-all;">${escapeHtml(r.message)}</td>
+            </tr>
+        `).join('');
+
+        validationReport.innerHTML = `
+            <p style="font-size:0.85rem; margin:0 0 5px;">
+                ${escapeHtml(title)}: エラー ${errorCount}件 / 警告 ${warningCount}件
+            </p>
+            <table style="width:100%; border-collapse:collapse; font-size:0.8rem; background:#fff;">
+                <thead>
+                    <tr style="background:#fef2f2; text-align:left;">
+                        <th style="padding:6px; border:1px solid #cbd5e1;">種別</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">サイト</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">パーツ名</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">内容</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // --- Output Views & Replacement Review ---
+
+    // Updates every output view (raw code, highlighted code, side-by-side, rendered, assets) from one result
+    function showOutput(result) {
+        const code = lastReview.page ? engine.wrapArticle(result.code, lastReview.page) : result.code;
+        outputArea.value = code;
+        previewArea.innerHTML = result.preview;
+        renderSideBySide(result.diff);
+        lastOutput.code = code;
+        lastOutput.assets = result.assets;
+        renderAssetManifest(result.assets);
+        renderOutputPreview();
+        replacementInfo.style.display = 'none';
+    }
+
+    function truncate(str, max) {
+        return str.length > max ? str.substring(0, max) + '…' : str;
+    }
+
+    /**
+     * Lists every replacement with its provenance. Unchecking one reverts it to the
+     * original source snippet in all output views (and in what gets copied).
+     */
+    function renderReviewList() {
+        if (!lastReview || lastReview.replacements.length === 0) {
+            reviewArea.innerHTML = '<p style="color:#666; font-size:0.85rem;">変換されたパーツはありません。</p>';
+            return;
+        }
+
+        const cellStyle = 'padding:6px; border:1px solid #e2e8f0; vertical-align:top;';
+        const codeStyle = `${cellStyle} font-family:monospace; font-size:0.8rem; white-space:pre-wrap; word-break:break-all;`;
+        const rows = lastReview.replacements.map(r => {
+            const variables = Object.entries(r.variables)
+                .map(([name, value]) => `<div><b>${escapeHtml(name)}</b> = ${escapeHtml(truncate(value, 60))}</div>`)
+                .join('');
+            const range = r.sourceRange ? `${r.sourceRange.start}-${r.sourceRange.end}` : '-';
+            return `
+                <tr data-replacement-row="${r.id}">
+                    <td style="${cellStyle} text-align:center;">
+                        <input type="checkbox" class="review-accept" data-id="${r.id}" ${lastReview.rejected.has(r.id) ? '' : 'checked'}>
+                    </td>
+                    <td style="${cellStyle} font-weight:bold;">#${r.id} ${escapeHtml(r.part)} → ${escapeHtml(r.target)}</td>
+                    <td style="${cellStyle} white-space:nowrap;">${range}</td>
+                    <td style="${cellStyle}">${variables}</td>
+                    <td style="${codeStyle}">${escapeHtml(truncate(r.source, 200))}</td>
+                    <td style="${codeStyle}">${escapeHtml(truncate(r.output, 200))}</td>
+                </tr>`;
+        }).join('');
+
+        reviewArea.innerHTML = `
+            <table style="width:100%; border-collapse:collapse; font-size:0.85rem;">
+                <thead>
+                    <tr style="background:#f1f5f9; text-align:left;">
+                        <th style="padding:6px; border:1px solid #cbd5e1;">採用</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">パーツ</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">位置</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">変数</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">変換元</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">変換結果</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        updateReviewRows();
+    }
+
+    // Greys out replacements that vanished because an enclosing replacement was rejected
+    function updateReviewRows(marked) {
+        reviewArea.querySelectorAll('tr[data-replacement-row]').forEach(tr => {
+            const id = tr.dataset.replacementRow;
+            const present = !marked || marked.includes(`<!--__DIFF_START__:${id}-->`);
+            tr.style.opacity = present ? '' : '0.4';
+            tr.querySelector('.review-accept').disabled = !present;
+        });
+    }
+
+    reviewArea.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('review-accept') || !lastReview) return;
+
+        const id = Number(e.target.dataset.id);
+        if (e.target.checked) {
+            lastReview.rejected.delete(id);
+        } else {
+            lastReview.rejected.add(id);
+        }
+
+        const reviewed = engine.applyReview(lastReview.marked, lastReview.replacements, [...lastReview.rejected], lastReview.cleanup);
+        showOutput(reviewed);
+        updateReviewRows(reviewed.marked);
+        renderSanitizeReport(reviewed.sanitized);
+        statusMsg.textContent = `レビューを反映しました (不採用: ${lastReview.rejected.size}件)`;
+    });
+
+    // --- Side-by-side Diff & Rendered Preview ---
+
+    function renderSideBySide(segments) {
+        const rows = segments.map(seg => {
+            if (seg.type === 'same') {
+                // Skip whitespace-only gaps between replacements
+                if (!seg.source.trim()) return '';
+                return `
+                    <tr class="diff-same">
+                        <td>${escapeHtml(seg.source)}</td>
+                        <td>${escapeHtml(seg.output)}</td>
+                    </tr>`;
+            }
+            const label = `<span class="diff-part-label">${escapeHtml(seg.part)} → ${escapeHtml(seg.target)}</span>`;
+            return `
+                <tr class="diff-replaced">
+                    <td class="diff-source-cell">${label}${escapeHtml(seg.source)}</td>
+                    <td class="diff-output-cell"><span class="diff-highlight" data-replacement="${seg.id}" title="${escapeHtml(seg.part)} → ${escapeHtml(seg.target)}">${seg.outputPreview}</span></td>
+                </tr>`;
+        }).join('');
+
+        sideBySideArea.innerHTML = `
+            <table class="diff-table">
+                <thead>
+                    <tr><th>変換元 (Source)</th><th>変換結果 (Result)</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renders the converted HTML in a sandboxed iframe, styled with the target site's CSS
+     * (stylesheet URL and/or uploaded CSS stored on the site definition).
+     */
+    function renderOutputPreview() {
+        const tgtSite = lastOutput ? findSiteId(lastOutput.targetId) : null;
+        if (!lastOutput || !tgtSite) {
+            renderedFrame.srcdoc = '';
+            return;
+        }
+
+        const link = tgtSite.previewStylesheet
+            ? `<link rel="stylesheet" href="${escapeHtml(tgtSite.previewStylesheet)}">`
+            : '';
+        const style = tgtSite.previewCss ? `<style>${tgtSite.previewCss}</style>` : '';
+
+        renderedFrame.srcdoc = `<!DOCTYPE html>
+<html lang="ja">
+<head><meta charset="UTF-8"><base target="_blank">${link}${style}</head>
+<body>${lastOutput.code}</body>
+</html>`;
+    }
+
+    function updateCssInput() {
+        const tgtSite = findSiteId(tgtSelect.value);
+        cssUrlInput.value = tgtSite && tgtSite.previewStylesheet ? tgtSite.previewStylesheet : '';
+    }
+
+    tgtSelect.addEventListener('change', updateCssInput);
+
+    document.getElementById('btn-save-css-url').addEventListener('click', () => {
+        const tgtSite = findSiteId(tgtSelect.value);
+        if (!tgtSite) return;
+
+        const url = cssUrlInput.value.trim();
+        if (url) {
+            tgtSite.previewStylesheet = url;
+        } else {
+            delete tgtSite.previewStylesheet;
+        }
+        touchSite(tgtSite);
+        saveRegistry();
+        renderOutputPreview();
+        statusMsg.textContent = `「${tgtSite.name}」のプレビュー用CSSを保存しました`;
+    });
+
+    cssFileInput.addEventListener('change', () => {
+        const tgtSite = findSiteId(tgtSelect.value);
+        const file = cssFileInput.files[0];
+        if (!tgtSite || !file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            tgtSite.previewCss = e.target.result;
+            touchSite(tgtSite);
+            saveRegistry();
+            renderOutputPreview();
+            cssFileInput.value = '';
+            statusMsg.textContent = `「${tgtSite.name}」のプレビュー用CSSファイルを保存しました`;
+        };
+        reader.readAsText(file);
+    });
+
+    // Clicking a highlighted region shows which part produced it
+    function onHighlightClick(e) {
+        const span = e.target.closest('.diff-highlight[data-replacement]');
+        document.querySelectorAll('.diff-highlight.selected').forEach(el => el.classList.remove('selected'));
+        if (!span) {
+            replacementInfo.style.display = 'none';
+            return;
+        }
+        e.stopPropagation();
+        document.querySelectorAll(`.diff-highlight[data-replacement="${span.dataset.replacement}"]`)
+            .forEach(el => el.classList.add('selected'));
+        replacementInfo.textContent = `変換パーツ: ${span.title}`;
+        replacementInfo.style.display = 'block';
+    }
+
+    previewArea.addEventListener('click', onHighlightClick);
+    sideBySideArea.addEventListener('click', onHighlightClick);
+
+    // --- Article Metadata ---
+
+    const METADATA_LABELS = {
+        title: 'タイトル',
+        description: 'ディスクリプション',
+        image: 'アイキャッチ (OGP画像)',
+        publishedAt: '公開日',
+        modifiedAt: '更新日',
+        author: '著者'
+    };
+
+    function renderMetadata(metadata, issues = []) {
+        const cellStyle = 'padding:8px; border:1px solid #e2e8f0; vertical-align:top;';
+        const rows = Object.entries(metadata).map(([key, value]) => `
+            <tr>
+                <td style="${cellStyle} font-weight:bold; white-space:nowrap;">${escapeHtml(METADATA_LABELS[key] || key)}</td>
+                <td style="${cellStyle} word-break:break-all;">${value ? escapeHtml(value) : '<span style="color:#94a3b8;">(取得できませんでした)</span>'}</td>
+            </tr>
+        `).join('');
+
+        const notes = issues.map(issue => `
+            <p style="color:#d97706; font-size:0.8rem; margin:0 0 5px;">
+                ${escapeHtml(METADATA_LABELS[issue.key] || issue.key)} のルールを適用できません: ${escapeHtml(issue.message)}
+            </p>
+        `).join('');
+
+        metadataArea.innerHTML = `
+            ${notes}
+            <table style="width:100%; border-collapse:collapse; font-size:0.85rem;">
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Metadata + (reviewed) body in one file, i.e. everything needed to re-create the article
+    document.getElementById('btn-export-article').addEventListener('click', () => {
+        if (!lastOutput) {
+            statusMsg.textContent = "先に変換を実行してください";
+            return;
+        }
+        const article = { metadata: lastOutput.metadata, body: lastOutput.code, assets: lastOutput.assets };
+        downloadFile('article.json', JSON.stringify(article, null, 2), 'application/json');
+    });
+
+    // --- Asset Manifest ---
+
+    function renderAssetManifest(assets) {
+        if (assets.length === 0) {
+            assetArea.innerHTML = '<p style="color:#666; font-size:0.85rem;">参照しているファイルはありません。</p>';
+            return;
+        }
+
+        const cellStyle = 'padding:6px; border:1px solid #e2e8f0; word-break:break-all;';
+        const rows = assets.map(a => `
+            <tr>
+                <td style="${cellStyle}">${escapeHtml(a.original)}</td>
+                <td style="${cellStyle}${a.url === a.original ? ' color:#94a3b8;' : ''}">${escapeHtml(a.url)}</td>
+                <td style="${cellStyle} white-space:nowrap;">&lt;${escapeHtml(a.tag)} ${escapeHtml(a.attribute)}&gt;</td>
+                <td style="${cellStyle} text-align:right;">${a.count}</td>
+            </tr>
+        `).join('');
+
+        assetArea.innerHTML = `
+            <table style="width:100%; border-collapse:collapse; font-size:0.8rem;">
+                <thead>
+                    <tr style="background:#f1f5f9; text-align:left;">
+                        <th style="padding:6px; border:1px solid #cbd5e1;">変換元のURL</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">変換後のURL</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">参照元</th>
+                        <th style="padding:6px; border:1px solid #cbd5e1;">回数</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // CSV (original, rewritten URL) so the files can be copied over with a script
+    document.getElementById('btn-export-assets').addEventListener('click', () => {
+        if (!lastOutput) {
+            statusMsg.textContent = "先に変換を実行してください";
+            return;
+        }
+        const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        const lines = [['original', 'url', 'tag', 'attribute', 'count'].join(',')]
+            .concat(lastOutput.assets.map(a => [a.original, a.url, a.tag, a.attribute, a.count].map(quote).join(',')));
+        downloadFile('assets.csv', lines.join('\n') + '\n', 'text/csv');
+    });
+
     // Copy Action
     btnCopy.addEventListener('click', () => {
         if (!outputArea.value) return;
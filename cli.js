@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+/**
+ * Headless batch migration (Node.js).
+ *
+ * Usage:
+ *   node cli.js --from <siteId> --to <siteId> --out <dir> [--registry <file>] [--match-mode dom|regex]
+ *               [--whole-page] [--wrap] [--metadata] [--assets <file>] [--via-canonical] [--passes <n>]
+ *               <dir|glob|file>...
+ *   node cli.js --from <siteId> --dry-run [--whole-page] <dir|glob|file>...
+ *   node cli.js --fixtures [--from <siteId>] [--to <siteId>] [--registry <file>]
+ *
+ * Inputs may also be Markdown (.md), WordPress exports (.xml, one output file per post under a folder
+ * named after the export) or HTML pasted from Word; see input_adapters.js.
+ * --dry-run only reports coverage (part hit counts and unrecognized elements); nothing is written.
+ * --whole-page treats inputs as full saved pages: only the source site's content root (page.contentRoot,
+ * minus page.exclude) is converted. --wrap puts the output in the target site's page.wrapper.
+ * The target site's allow-list policy (page.sanitize) is applied; stripped tags / attributes / classes are listed.
+ * --metadata also writes <name>.meta.json (title, description, image, dates, author) next to each output.
+ * --assets writes a JSON manifest of every image / file the converted articles reference (after the
+ * site pair's URL rewriting), with the files that use each one.
+ * --via-canonical converts through the registry's canonical site (source -> canonical -> target
+ * mappings) instead of the direct site pair mapping. --passes repeats the conversion over its own
+ * output (nested parts) until nothing changes, at most <n> times.
+ * --fixtures re-runs the regression fixtures stored in the registry ("fixtures"), with the pass /
+ * canonical options each was recorded with, and prints a diff for every failure. --from / --to narrow the run to one site pair.
+ *
+ * Examples:
+ *   node cli.js --from custom_1770017639553 --to custom_1770017648547 --out out articles/
+ *   node cli.js --from custom_1770017639553 --to custom_1770017648547 --out out "articles/*.html"
+ *
+ * The engine needs a DOM implementation outside the browser; this script uses jsdom, declared in
+ * package.json (`npm install` once, then `node cli.js ...` or `npm run cli -- ...`).
+ *
+ * Exit codes:
+ *   0 - all files converted without missing mappings (--fixtures: all fixtures passed)
+ *   1 - at least one file had missing mappings (output is still written) or could not be converted
+ *       (--fixtures: a fixture failed)
+ *   2 - usage / configuration error (including a registry that fails validation)
+ */
+const fs = require('fs');
+const path = require('path');
+const MigrationEngine = require('./migration_engine.js');
+const { readInputArticles } = require('./input_adapters.js');
+
+const HTML_EXT = /\.html?$/i;
+const INPUT_EXT = /\.(html?|md|markdown|xml)$/i;
+
+function printUsage() {
+    console.error('Usage: node cli.js --from <siteId> --to <siteId> --out <dir> [--registry <file>] [--match-mode dom|regex] [--whole-page] [--wrap] [--metadata] [--assets <file>] [--via-canonical] [--passes <n>] <dir|glob|file>...');
+    console.error('       node cli.js --from <siteId> --dry-run [--whole-page] <dir|glob|file>...');
+    console.error('       node cli.js --fixtures [--from <siteId>] [--to <siteId>] [--registry <file>]');
+}
+
+function parseArgs(argv) {
+    const opts = {
+        from: null,
+        to: null,
+        out: null,
+        registry: path.join(__dirname, 'resources', 'parts_registry.json'),
+        matchMode: 'dom',
+        dryRun: false,
+        fixtures: false,
+        wholePage: false,
+        wrap: false,
+        metadata: false,
+        assets: null,
+        viaCanonical: false,
+        passes: 1,
+        inputs: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--from': opts.from = argv[++i]; break;
+            case '--to': opts.to = argv[++i]; break;
+            case '--out': opts.out = argv[++i]; break;
+            case '--registry': opts.registry = argv[++i]; break;
+            case '--match-mode': opts.matchMode = argv[++i]; break;
+            case '--dry-run': opts.dryRun = true; break;
+            case '--fixtures': opts.fixtures = true; break;
+            case '--whole-page': opts.wholePage = true; break;
+            case '--wrap': opts.wrap = true; break;
+            case '--metadata': opts.metadata = true; break;
+            case '--assets': opts.assets = argv[++i]; break;
+            case '--via-canonical': opts.viaCanonical = true; break;
+            case '--passes': opts.passes = Number(argv[++i]); break;
+            case '-h':
+            case '--help': opts.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+                opts.inputs.push(arg);
+        }
+    }
+    return opts;
+}
+
+function createDomWindow() {
+    let JSDOM;
+    try {
+        ({ JSDOM } = require('jsdom'));
+    } catch (e) {
+        throw new Error('jsdom is required to run the CLI (run npm install)');
+    }
+    return new JSDOM('').window;
+}
+
+// --- Input Expansion ---
+
+/**
+ * Converts a glob (supports *, ? and **) into a RegExp matched against '/'-separated paths.
+ */
+function globToRegex(glob) {
+    let re = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories
+                if (glob[i + 2] === '/') {
+                    re += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    re += '.*';
+                    i += 1;
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (c === '?') {
+            re += '[^/]';
+        } else {
+            re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+function walk(dir) {
+    const files = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...walk(full));
+        } else if (entry.isFile()) {
+            files.push(full);
+        }
+    });
+    return files;
+}
+
+/**
+ * Expands one CLI input (file, directory or glob) into a list of { file, base } entries.
+ * 'base' is the directory that relative output paths are computed from.
+ */
+function expandInput(input) {
+    if (!/[*?]/.test(input)) {
+        if (!fs.existsSync(input)) throw new Error(`Input not found: ${input}`);
+        if (fs.statSync(input).isDirectory()) {
+            return walk(input)
+                .filter(f => INPUT_EXT.test(f))
+                .map(file => ({ file, base: input }));
+        }
+        return [{ file: input, base: path.dirname(input) }];
+    }
+
+    // Glob: walk from the static prefix (everything before the first wildcard segment)
+    const normalized = input.split(path.sep).join('/');
+    const segments = normalized.split('/');
+    const staticSegments = [];
+    for (const seg of segments) {
+        if (/[*?]/.test(seg)) break;
+        staticSegments.push(seg);
+    }
+    const base = staticSegments.join('/') || '.';
+    if (!fs.existsSync(base)) return [];
+
+    const regex = globToRegex(normalized.replace(/^\.\//, ''));
+    return walk(base)
+        .filter(f => regex.test(f.split(path.sep).join('/').replace(/^\.\//, '')))
+        .map(file => ({ file, base }));
+}
+
+function printCoverage(file, analysis) {
+    console.log(`== ${file}`);
+    analysis.parts.filter(p => p.hits > 0).forEach(p => {
+        const ranges = p.ranges.map(r => `${r.start}-${r.end}`).join(', ');
+        console.log(`  [HIT x${p.hits}] ${p.name} (${ranges})`);
+    });
+    analysis.unrecognized.forEach(u => {
+        console.log(`  [UNRECOGNIZED x${u.count}] ${u.signature}`);
+    });
+}
+
+/**
+ * Runs the registry fixtures (optionally only one site pair) and prints PASS / FAIL with a diff.
+ * @returns {number} exit code
+ */
+function runFixtures(engine, registry, opts) {
+    const fixtures = (registry.fixtures || [])
+        .filter(f => (!opts.from || f.from === opts.from) && (!opts.to || f.to === opts.to));
+    if (fixtures.length === 0) {
+        console.error('No fixtures found in the registry');
+        return 2;
+    }
+
+    const results = engine.runFixtures(registry, fixtures);
+    results.forEach(({ fixture, status, diff, message }) => {
+        console.log(`[${status.toUpperCase()}] ${fixture.name} (${fixture.from} -> ${fixture.to})`);
+        if (status === 'error') console.log(`    ${message}`);
+        if (status === 'fail') {
+            diff.filter(line => line.type !== 'same').forEach(line => {
+                console.log(`    ${line.type === 'removed' ? '-' : '+'} ${line.text}`);
+            });
+        }
+    });
+
+    const failed = results.filter(r => r.status !== 'pass').length;
+    console.log(`\n${results.length - failed}/${results.length} fixture(s) passed`);
+    return failed > 0 ? 1 : 0;
+}
+
+// --- Main ---
+
+function main(argv) {
+    let opts;
+    try {
+        opts = parseArgs(argv);
+    } catch (e) {
+        console.error(e.message);
+        printUsage();
+        return 2;
+    }
+
+    if (opts.help) {
+        printUsage();
+        return 0;
+    }
+    if (!['dom', 'regex'].includes(opts.matchMode) || !(Number.isInteger(opts.passes) && opts.passes >= 1)) {
+        printUsage();
+        return 2;
+    }
+    const needsTarget = !opts.dryRun;
+    if (!opts.fixtures && (!opts.from || (needsTarget && (!opts.to || !opts.out)) || opts.inputs.length === 0)) {
+        printUsage();
+        return 2;
+    }
+
+    let registry;
+    try {
+        registry = JSON.parse(fs.readFileSync(opts.registry, 'utf8'));
+    } catch (e) {
+        console.error(`Failed to read registry: ${opts.registry} (${e.message})`);
+        return 2;
+    }
+
+    let win;
+    let engine;
+    try {
+        win = createDomWindow();
+        engine = new MigrationEngine({ window: win, matchMode: opts.matchMode });
+    } catch (e) {
+        console.error(e.message);
+        return 2;
+    }
+
+    // Broken selectors / regexes in the registry would otherwise fail every article
+    const registryErrors = engine.validateRegistryData(registry);
+    if (registryErrors.length > 0) {
+        console.error(`Invalid registry: ${opts.registry}`);
+        registryErrors.forEach(err => console.error(`    ${err}`));
+        return 2;
+    }
+
+    if (opts.fixtures) {
+        return runFixtures(engine, registry, opts);
+    }
+
+    const srcSite = registry.sites.find(s => s.id === opts.from);
+    const tgtSite = registry.sites.find(s => s.id === opts.to);
+    if (!srcSite || (needsTarget && !tgtSite)) {
+        console.error(`Unknown site ID: ${!srcSite ? opts.from : opts.to}`);
+        console.error(`Available: ${registry.sites.map(s => `${s.id} (${s.name})`).join(', ')}`);
+        return 2;
+    }
+
+    // One entry per article: input adapters turn Markdown / WordPress exports / Word HTML into HTML
+    let articles;
+    try {
+        articles = opts.inputs.flatMap(expandInput).flatMap(({ file, base }) => {
+            try {
+                return readInputArticles(fs.readFileSync(file, 'utf8'), file, 'auto', win).articles
+                    .map(article => ({ ...article, file: article.name, base }));
+            } catch (e) {
+                throw new Error(`${file}: ${e.message}`);
+            }
+        });
+    } catch (e) {
+        console.error(e.message);
+        return 2;
+    }
+
+    if (articles.length === 0) {
+        console.error('No articles found in the given inputs');
+        return 2;
+    }
+
+    // --whole-page: only the article body of each input is converted / analyzed
+    const extractBody = (file, html) => {
+        if (!opts.wholePage) return html;
+        const extracted = engine.extractArticle(html, srcSite.page);
+        if (srcSite.page && srcSite.page.contentRoot && !extracted.found) {
+            console.log(`    ! ${file}: content root "${srcSite.page.contentRoot}" not found, using <body>`);
+        }
+        return extracted.html;
+    };
+
+    if (opts.dryRun) {
+        articles.forEach(({ file, html }) => {
+            printCoverage(file, engine.analyze(extractBody(file, html), srcSite.parts));
+        });
+        return 0;
+    }
+    if (opts.wrap && !(tgtSite.page && tgtSite.page.wrapper)) {
+        console.error(`Target site "${tgtSite.name}" has no article container (page.wrapper); --wrap ignored`);
+    }
+
+    const mapping = engine.siteMappingOptions(registry, srcSite, tgtSite, opts.viaCanonical);
+    if (opts.viaCanonical && !registry.sites.some(s => s.canonical)) {
+        console.error('The registry has no canonical site; --via-canonical ignored');
+    } else if (mapping.canonical) {
+        console.log(`Converting through canonical site "${mapping.canonical.name}"`);
+    }
+    const manifest = new Map(); // original URL -> { original, url, count, files }
+
+    let filesWithMissing = 0;
+    let filesFailed = 0;
+
+    articles.forEach(({ file, base, html, pageHtml = html }) => {
+        const outFile = path.join(opts.out, path.relative(base, file));
+        let result;
+        try {
+            result = engine.migrate(extractBody(file, html), srcSite.parts, tgtSite.parts, {
+                ...mapping.options,
+                metadataRules: srcSite.page && srcSite.page.metadata,
+                pageHtml,
+                passes: opts.passes,
+                sanitize: tgtSite.page && tgtSite.page.sanitize
+            });
+
+            fs.mkdirSync(path.dirname(outFile), { recursive: true });
+            fs.writeFileSync(outFile, opts.wrap ? engine.wrapArticle(result.code, tgtSite.page) : result.code);
+            if (opts.metadata) {
+                fs.writeFileSync(outFile.replace(HTML_EXT, '') + '.meta.json', JSON.stringify(result.metadata, null, 2) + '\n');
+            }
+        } catch (e) {
+            // One broken article doesn't stop the batch
+            filesFailed++;
+            console.log(`[FAILED] ${file}: ${e.message}`);
+            return;
+        }
+        result.assets.forEach(asset => {
+            if (!manifest.has(asset.original)) {
+                manifest.set(asset.original, { original: asset.original, url: asset.url, count: 0, files: [] });
+            }
+            const entry = manifest.get(asset.original);
+            entry.count += asset.count;
+            entry.files.push(outFile);
+        });
+
+        if (result.missing.length > 0) {
+            filesWithMissing++;
+            console.log(`[MISSING] ${file} -> ${outFile}`);
+            result.missing.forEach(m => console.log(`    - ${m.name}`));
+        } else {
+            console.log(`[OK] ${file} -> ${outFile}`);
+        }
+        result.warnings.forEach(w => {
+            const detail = w.type === 'unused_variable'
+                ? `{{${w.variable}}} not used by target "${w.target}" (content dropped)`
+                : `target "${w.target}" variable {{${w.variable}}} has no value`;
+            console.log(`    ! ${w.part}: ${detail} x${w.count}`);
+        });
+        result.fallbacks.forEach(f => {
+            console.log(`    ~ ${f.part}: fallback "${f.strategy}"${f.target ? ` -> "${f.target}"` : ''} x${f.count}`);
+        });
+        result.metadataIssues.forEach(issue => {
+            console.log(`    ! metadata "${issue.key}": rule skipped (${issue.message})`);
+        });
+        result.urlIssues.forEach(issue => {
+            console.log(`    ! URL rule "${issue.rule}": skipped (${issue.message})`);
+        });
+        result.sanitized.filter(s => s.type !== 'empty').forEach(s => {
+            console.log(`    - stripped ${s.type} "${s.name}" x${s.count}`);
+        });
+        if (result.cycle) {
+            console.log(`    ! passes stopped after ${result.passes}: parts convert each other's output`);
+        }
+        if (result.passLimit) {
+            console.log(`    ! pass limit reached (${result.passes}); later passes may still convert more`);
+        }
+    });
+
+    if (opts.assets) {
+        fs.writeFileSync(opts.assets, JSON.stringify([...manifest.values()], null, 2) + '\n');
+        console.log(`\nAsset manifest: ${opts.assets} (${manifest.size} file(s))`);
+    }
+
+    console.log(`\n${articles.length - filesFailed} file(s) converted (${srcSite.name} -> ${tgtSite.name}), ${filesWithMissing} with missing mappings`
+        + (filesFailed > 0 ? `, ${filesFailed} failed` : ''));
+    return filesWithMissing > 0 || filesFailed > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,380 @@
+/**
+ * Input adapters: turn what we receive from writers into article HTML before migrate() runs.
+ *   wxr      - WordPress export (WXR) XML; one article per post / page
+ *   word     - HTML pasted from Word / Google Docs (mso- styles, Mso classes, <o:p>...)
+ *   markdown - Markdown files
+ *   html     - plain HTML, passed through
+ *
+ * An adapter is { id, label, detect(text, fileName), toArticles(text, fileName, win) } where
+ * toArticles returns [{ name, html, pageHtml? }] (pageHtml: a page to read metadata from).
+ * Adapters are tried in list order by readInputArticles(), so more can be added to INPUT_ADAPTERS
+ * in front of 'html', which accepts anything.
+ */
+
+const INPUT_ADAPTERS = [
+    {
+        id: 'wxr',
+        label: 'WordPressエクスポート (WXR)',
+        detect: (text) => /xmlns:wp="https?:\/\/wordpress\.org\/export\//.test(text.slice(0, 4096)),
+        toArticles: (text, fileName, win) => splitWxr(text, fileName, win)
+    },
+    {
+        id: 'word',
+        label: 'Word / Googleドキュメント',
+        detect: (text) => /class="?Mso|mso-|urn:schemas-microsoft-com|docs-internal-guid/i.test(text),
+        toArticles: (text, fileName, win) => [{ name: fileName, html: cleanWordHtml(text, win) }]
+    },
+    {
+        id: 'markdown',
+        label: 'Markdown',
+        // Pasted text (no file name) counts as Markdown when it isn't markup and has Markdown blocks
+        detect: (text, fileName) => fileName
+            ? /\.(md|markdown)$/i.test(fileName)
+            : !text.trim().startsWith('<') && /^(#{1,6}\s|\s*[-*+]\s|\s*\d+\.\s|>|```)/m.test(text),
+        toArticles: (text, fileName) => [{ name: fileName.replace(/\.(md|markdown)$/i, '.html'), html: markdownToHtml(text) }]
+    },
+    {
+        id: 'html',
+        label: 'HTML',
+        detect: () => true,
+        toArticles: (text, fileName) => [{ name: fileName, html: text }]
+    }
+];
+
+/**
+ * @param {string} text - file content or pasted text
+ * @param {string} [fileName] - used for detection (extension) and article names
+ * @param {string} [format] - adapter id, or 'auto' to detect
+ * @param {Window} [win] - DOM implementation (e.g. jsdom in Node); defaults to the browser window
+ * @returns {{adapter: Object, articles: Array<{name, html, pageHtml?}>}}
+ */
+function readInputArticles(text, fileName = '', format = 'auto', win = typeof window !== 'undefined' ? window : null) {
+    const adapter = format === 'auto'
+        ? INPUT_ADAPTERS.find(a => a.detect(text, fileName))
+        : INPUT_ADAPTERS.find(a => a.id === format);
+    if (!adapter) throw new Error(`Unknown input format: ${format}`);
+    return { adapter, articles: adapter.toArticles(text, fileName, win) };
+}
+
+function escapeInputHtml(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// --- WordPress export (WXR) ---
+
+/**
+ * One article per published / draft post or page. Classic editor content has no <p> tags
+ * (WordPress adds them when rendering), so blank-line separated text gets them here.
+ * pageHtml carries title, excerpt, date and author as the meta tags extractMetadata() reads.
+ */
+function splitWxr(xml, fileName, win) {
+    const doc = new win.DOMParser().parseFromString(xml, 'text/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('WXR (XML) を解析できません');
+
+    const folder = fileName ? fileName.replace(/\.xml$/i, '') + '/' : '';
+    const field = (item, tag) => {
+        const el = item.getElementsByTagName(tag)[0];
+        return el ? el.textContent.trim() : '';
+    };
+    const used = new Set();
+
+    return [...doc.getElementsByTagName('item')]
+        .filter(item => ['post', 'page'].includes(field(item, 'wp:post_type'))
+            && !['trash', 'auto-draft'].includes(field(item, 'wp:status')))
+        .map(item => {
+            let slug = field(item, 'wp:post_name');
+            try {
+                slug = decodeURIComponent(slug); // Japanese slugs are stored percent-encoded
+            } catch (e) {
+                // Keep as is
+            }
+            slug = slug.replace(/[\\/:*?"<>|]/g, '-') || `post-${field(item, 'wp:post_id')}`;
+            if (used.has(slug)) slug += `-${field(item, 'wp:post_id')}`;
+            used.add(slug);
+
+            const html = wpAutop(field(item, 'content:encoded'));
+            const date = field(item, 'wp:post_date').replace(' ', 'T');
+            const meta = [
+                `<title>${escapeInputHtml(field(item, 'title'))}</title>`,
+                `<meta name="description" content="${escapeInputHtml(field(item, 'excerpt:encoded'))}">`,
+                `<meta property="article:published_time" content="${escapeInputHtml(date)}">`,
+                `<meta name="author" content="${escapeInputHtml(field(item, 'dc:creator'))}">`
+            ];
+            return {
+                name: `${folder}${slug}.html`,
+                html,
+                pageHtml: `<html><head>${meta.join('')}</head><body>\n${html}\n</body></html>`
+            };
+        });
+}
+
+// Simplified wpautop(): blank lines separate paragraphs, single newlines become <br>
+function wpAutop(content) {
+    const block = /^<\/?(?:p|div|h[1-6]|ul|ol|li|dl|dt|dd|table|thead|tbody|tr|th|td|blockquote|pre|figure|figcaption|hr|section|aside|iframe|form|!--)[\s>/-]/i;
+    return content.replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(chunk => chunk.trim())
+        .filter(Boolean)
+        .map(chunk => block.test(chunk) ? chunk : `<p>${chunk.replace(/\n/g, '<br>\n')}</p>`)
+        .join('\n');
+}
+
+// --- Word / Google Docs ---
+
+/**
+ * Cleans HTML from the Word / Google Docs clipboard: list paragraphs become <ul>, bold / italic /
+ * super / subscript styling becomes tags, and only text-align survives of the inline styles.
+ * Mso* classes, <o:p>, conditional comments, lang attributes and empty paragraphs are removed.
+ */
+function cleanWordHtml(html, win) {
+    const fragment = html.match(/<!--StartFragment-->([\s\S]*?)<!--EndFragment-->/);
+    const text = (fragment ? fragment[1] : html)
+        .replace(/<!\[if !supportLists\]>[\s\S]*?<!\[endif\]>/gi, '') // Typed bullets / numbers
+        .replace(/<!--\[if[\s\S]*?<!\[endif\]-->/gi, '')
+        .replace(/<!\[(?:end)?if[^>]*>/gi, '');
+
+    const doc = new win.DOMParser().parseFromString(text, 'text/html');
+    const body = doc.body;
+    body.querySelectorAll('style, script, meta, link, title, xml').forEach(el => el.remove());
+    body.querySelectorAll('[style*="mso-list:Ignore" i]').forEach(el => el.remove());
+
+    // Word list paragraphs (consecutive siblings) -> <ul><li>
+    let list = null;
+    [...body.querySelectorAll('p')].forEach(p => {
+        const isItem = /mso-list/i.test(p.getAttribute('style') || '') || /MsoListParagraph/.test(p.className);
+        if (!isItem) return;
+        if (!list || list.nextElementSibling !== p) {
+            list = doc.createElement('ul');
+            p.before(list);
+        }
+        const li = doc.createElement('li');
+        li.append(...p.childNodes);
+        list.append(li);
+        p.remove();
+    });
+
+    [...body.querySelectorAll('*')].forEach(el => {
+        if (!body.contains(el)) return;
+        if (el.tagName.includes(':')) { // <o:p>, <v:shape>...
+            el.replaceWith(...el.childNodes);
+            return;
+        }
+
+        const style = el.getAttribute('style') || '';
+        const declarations = style.split(';').map(d => d.trim().toLowerCase()).filter(Boolean);
+        const has = (pattern) => declarations.some(d => pattern.test(d));
+        const wrappers = [];
+        if (has(/^font-weight:\s*(bold|[6-9]00)/) && !el.closest('strong, b, h1, h2, h3, h4, h5, h6, th')) wrappers.push('strong');
+        if (has(/^font-style:\s*italic/) && !el.closest('em, i')) wrappers.push('em');
+        if (has(/^vertical-align:\s*super/)) wrappers.push('sup');
+        if (has(/^vertical-align:\s*sub/)) wrappers.push('sub');
+        wrappers.forEach(tag => {
+            const wrapper = doc.createElement(tag);
+            wrapper.append(...el.childNodes);
+            el.append(wrapper);
+        });
+
+        const kept = declarations.filter(d => /^text-align:/.test(d) && !/:\s*(left|start)$/.test(d));
+        if (kept.length > 0) {
+            el.setAttribute('style', kept.join('; '));
+        } else {
+            el.removeAttribute('style');
+        }
+        [...el.classList].filter(cls => /^Mso/.test(cls)).forEach(cls => el.classList.remove(cls));
+        if (el.classList.length === 0) el.removeAttribute('class');
+        ['lang', 'dir', 'align'].forEach(attr => el.removeAttribute(attr));
+        if (/^docs-internal-guid/.test(el.id)) el.removeAttribute('id');
+
+        // Spans (and Google Docs' <b style="font-weight:normal"> wrapper) left without attributes carry nothing
+        if ((el.tagName === 'SPAN' || (el.tagName === 'B' && has(/^font-weight:\s*normal/))) && el.attributes.length === 0) {
+            el.replaceWith(...el.childNodes);
+        }
+    });
+
+    body.querySelectorAll('p').forEach(p => {
+        if (!p.textContent.trim() && !p.querySelector('img, iframe, video')) p.remove();
+    });
+
+    return body.innerHTML.trim();
+}
+
+// --- Markdown ---
+
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * CommonMark subset for articles: headings, paragraphs, (nested) lists, blockquotes, fenced code,
+ * tables, horizontal rules, images, links, emphasis, strikethrough and inline code. Raw HTML
+ * blocks and inline tags pass through; YAML front matter is skipped.
+ */
+function markdownToHtml(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/^---\n[\s\S]*?\n---\n/, '').split('\n');
+    const out = [];
+    let i = 0;
+
+    const startsBlock = (line) => /^\s*(#{1,6}\s|>|```|~~~|<)/.test(line) || MARKDOWN_LIST_ITEM.test(line);
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(/^\s*(```|~~~)\s*([\w-]*)/);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+            i++; // Closing fence
+            const lang = fence[2] ? ` class="language-${fence[2]}"` : '';
+            out.push(`<pre><code${lang}>${escapeInputHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            out.push(`<h${level}>${markdownInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            out.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*> ?/, ''));
+            out.push(`<blockquote>\n${markdownToHtml(quoted.join('\n'))}\n</blockquote>`);
+            continue;
+        }
+
+        if (MARKDOWN_LIST_ITEM.test(line)) {
+            const list = markdownList(lines, i);
+            out.push(list.html);
+            i = list.next;
+            continue;
+        }
+
+        if (line.includes('|') && MARKDOWN_TABLE_DIVIDER.test(lines[i + 1] || '')) {
+            const cells = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+            const align = cells(lines[i + 1]).map(cell => {
+                if (cell.startsWith(':') && cell.endsWith(':')) return ' style="text-align:center"';
+                if (cell.endsWith(':')) return ' style="text-align:right"';
+                return '';
+            });
+            const row = (values, tag) => `<tr>${values.map((value, c) => `<${tag}${align[c] || ''}>${markdownInline(value)}</${tag}>`).join('')}</tr>`;
+            const head = row(cells(line), 'th');
+            const body = [];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) body.push(row(cells(lines[i++]), 'td'));
+            out.push(`<table>\n<thead>\n${head}\n</thead>\n<tbody>\n${body.join('\n')}\n</tbody>\n</table>`);
+            continue;
+        }
+
+        if (/^\s*</.test(line)) {
+            // Raw HTML block, up to the next blank line
+            const raw = [];
+            while (i < lines.length && lines[i].trim()) raw.push(lines[i++]);
+            out.push(raw.join('\n'));
+            continue;
+        }
+
+        const paragraph = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) paragraph.push(lines[i++]);
+        const text = paragraph.map((l, n) => {
+            const hardBreak = n < paragraph.length - 1 && /( {2,}|\\)$/.test(l);
+            return markdownInline(l.trim().replace(/\\$/, '')) + (hardBreak ? '<br>' : '');
+        }).join('\n');
+        out.push(`<p>${text}</p>`);
+    }
+
+    return out.join('\n');
+}
+
+// A list starting at lines[start]; deeper-indented items become nested lists
+function markdownList(lines, start) {
+    const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+    const baseIndent = indentOf(lines[start]);
+    const ordered = /^\d/.test(lines[start].match(MARKDOWN_LIST_ITEM)[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            // A blank line only continues the list if another item follows
+            let next = i + 1;
+            while (next < lines.length && !lines[next].trim()) next++;
+            if (next < lines.length && MARKDOWN_LIST_ITEM.test(lines[next]) && indentOf(lines[next]) >= baseIndent) {
+                i = next;
+                continue;
+            }
+            break;
+        }
+
+        const indent = indentOf(line);
+        const item = line.match(MARKDOWN_LIST_ITEM);
+        if (item && indent === baseIndent) {
+            if (/^\d/.test(item[2]) !== ordered) break;
+            items.push({ text: item[3], children: [] });
+            i++;
+        } else if (item && indent > baseIndent && items.length > 0) {
+            const nested = markdownList(lines, i);
+            items[items.length - 1].children.push(nested.html);
+            i = nested.next;
+        } else if (!item && indent > baseIndent && items.length > 0) {
+            items[items.length - 1].text += '\n' + line.trim(); // Continuation line
+            i++;
+        } else {
+            break;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const html = items.map(item => {
+        const children = item.children.length > 0 ? `\n${item.children.join('\n')}\n` : '';
+        return `<li>${markdownInline(item.text)}${children}</li>`;
+    }).join('\n');
+    return { html: `<${tag}>\n${html}\n</${tag}>`, next: i };
+}
+
+function markdownInline(text) {
+    // Code spans are set aside so nothing inside them is formatted
+    const codes = [];
+    let html = text.replace(/`([^`]+)`/g, (match, code) => `\u0000${codes.push(escapeInputHtml(code)) - 1}\u0000`);
+
+    // Bare & and < that don't start an entity / tag are text
+    html = html.replace(/&(?!#?\w+;)/g, '&amp;').replace(/<(?![a-zA-Z\/!])/g, '&lt;');
+
+    const link = /\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/;
+    html = html
+        .replace(new RegExp('!' + link.source, 'g'), (match, alt, src, title) =>
+            `<img src="${escapeInputHtml(src)}" alt="${escapeInputHtml(alt)}"${title ? ` title="${escapeInputHtml(title)}"` : ''}>`)
+        .replace(new RegExp(link.source, 'g'), (match, label, href, title) =>
+            `<a href="${escapeInputHtml(href)}"${title ? ` title="${escapeInputHtml(title)}"` : ''}>${label}</a>`)
+        .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => `<a href="${escapeInputHtml(url)}">${url}</a>`);
+
+    // Tags (generated or inline HTML) are set aside too, so URLs and attributes keep their _ and *
+    const tags = [];
+    html = html
+        .replace(/<[^>]+>/g, (tag) => `\u0001${tags.push(tag) - 1}\u0001`)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*|__(?=\S)([\s\S]*?\S)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/\*(?=\S)([\s\S]*?\S)\*|(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, (match, a, before, b) =>
+            a ? `<em>${a}</em>` : `${before}<em>${b}</em>`)
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    return html
+        .replace(/\u0001(\d+)\u0001/g, (match, index) => tags[index])
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${codes[index]}</code>`);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { INPUT_ADAPTERS, readInputArticles, markdownToHtml, cleanWordHtml, splitWxr };
+}
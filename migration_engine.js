@@ -1,305 +1,2669 @@
+/**
+ * Built-in filters for {{var|filter|filter:arg}} in patterns.
+ * Filters are applied left to right when a target pattern is rendered.
+ *
+ *   trim            - Remove leading/trailing whitespace
+ *   striptags       - Remove all HTML tags, keeping their text
+ *   upper / lower   - Change letter case
+ *   pad:N[:char]    - Left-pad to N characters (default char "0"), e.g. {{num|pad:2}} -> "01"
+ *   number          - Format as a number with thousands separators (1234567 -> "1,234,567")
+ *   default:text    - Use 'text' when the value is empty (the text may contain ':')
+ */
+const PATTERN_FILTERS = {
+    trim: (value) => value.trim(),
+    striptags: (value) => value.replace(/<[^>]*>/g, ''),
+    upper: (value) => value.toUpperCase(),
+    lower: (value) => value.toLowerCase(),
+    pad: (value, width, char = '0') => value.padStart(parseInt(width, 10) || 0, char),
+    number: (value) => {
+        const num = Number(value.replace(/,/g, '').trim());
+        return value.trim() === '' || isNaN(num) ? value : num.toLocaleString('en-US');
+    },
+    default: (value, fallback = '') => value.trim() === '' ? fallback : value
+};
+
+// Filters taking several ':'-separated arguments; the others get everything after the first ':'
+// as one argument ({{note|default:Note: none}})
+const LIST_ARG_FILTERS = ['pad'];
+
+// <!--__DIFF_START__:id--> / <!--__DIFF_END__:id--> wrap each replacement. Group 1: START|END, Group 2: id
+const DIFF_MARKER = /<!--__DIFF_(START|END)__:(\d+)-->/g;
+
+// <!--__DIFF_HOLE__--> / <!--__DIFF_HOLE_END__--> wrap the variable content inside a replacement while
+// repeated passes run: later passes only look there, never at the markup the replacement rendered.
+const DIFF_HOLE = /<!--__DIFF_HOLE(_END)?__-->/g;
+
+// {{name}} or {{name|filter|filter:arg}}. Group 1: name, Group 2: filter chain (with leading '|')
+const VARIABLE_TOKEN = /{{(\w+)((?:\|[^{}|]+)*)}}/;
+
+/**
+ * What migrate() does with a source part that has no target part. Set per part (mapping rule
+ * "fallback") or per site pair (options.fallback); the rule wins.
+ *
+ *   keep     - Leave the original HTML untouched and report the part as missing (default)
+ *   unwrap   - Replace the part with its captured content (variable values, in pattern order)
+ *   generic  - Convert with a designated target part instead (e.g. a default box); { strategy, target }
+ *   drop     - Remove the part entirely
+ *   comment  - Keep the original HTML between <!-- MIGRATION-TODO --> comments for manual handling
+ */
+const FALLBACK_STRATEGIES = ['keep', 'unwrap', 'generic', 'drop', 'comment'];
+
+/**
+ * Metadata read from every page by extractMetadata(). A site can add keys or replace the rules
+ * of a key (page.metadata); rules for the same key are tried in order until one yields a value.
+ *
+ *   { key, selector, attribute? } - textContent (or the attribute) of the first match
+ *   { key, pattern }              - value of the first variable of a part-style pattern
+ */
+const DEFAULT_METADATA_RULES = [
+    { key: 'title', selector: 'meta[property="og:title"]', attribute: 'content' },
+    { key: 'title', selector: 'title' },
+    { key: 'description', selector: 'meta[name="description"]', attribute: 'content' },
+    { key: 'description', selector: 'meta[property="og:description"]', attribute: 'content' },
+    { key: 'image', selector: 'meta[property="og:image"]', attribute: 'content' },
+    { key: 'publishedAt', selector: 'meta[property="article:published_time"]', attribute: 'content' },
+    { key: 'publishedAt', selector: 'time[datetime]', attribute: 'datetime' },
+    { key: 'modifiedAt', selector: 'meta[property="article:modified_time"]', attribute: 'content' },
+    { key: 'author', selector: 'meta[name="author"]', attribute: 'content' }
+];
+
+/**
+ * Upper bound for options.passes in migrate(). Each pass runs every source part again over the
+ * output of the previous one, so nested occurrences of a part (a box inside a box) get converted
+ * too; passing a larger value is clamped to this.
+ */
+const MAX_MIGRATION_PASSES = 10;
+
+/**
+ * Elements cleanHtml() keeps even when they are empty, unless the target site's sanitize policy
+ * (page.sanitize.keepEmpty) replaces the list. CSS selectors, plus "tag[*]" for the tag with any
+ * attribute (icon / spacer spans). Void elements (img, br...) are never removed.
+ */
+const DEFAULT_KEEP_EMPTY = ['th', 'td', '.numbering-num', 'span[*]', 'i[*]', 'em[*]', 'strong[*]', 'b[*]'];
+
+// Tags a sanitize policy doesn't allow are unwrapped (content kept); these go with their content
+const DROP_CONTENT_TAGS = ['script', 'style', 'noscript', 'template'];
+
+// Attributes holding URLs that rewriteUrls() rewrites. srcset is a list of "url [descriptor]" candidates
+const URL_ATTRIBUTES = ['src', 'srcset', 'href'];
+
+// Tags whose src / srcset are media files to copy (listed in the asset manifest); iframe / script / embed
+// sources are rewritten but not listed
+const ASSET_SOURCE_TAGS = ['img', 'source', 'video', 'audio', 'picture'];
+
+// href targets that are files to copy (listed in the asset manifest), not pages
+const ASSET_LINK_EXT = /\.(jpe?g|png|gif|webp|avif|svg|pdf|zip|mp3|mp4|webm)(?:[?#].*)?$/i;
+
 class MigrationEngine {
-    constructor() {
-        this.parser = new DOMParser();
+    /**
+     * @param {Object} [options]
+     * @param {Window} [options.window] - DOM implementation to use (e.g. a jsdom window in Node).
+     *                                    Defaults to the browser's global window.
+     * @param {string} [options.matchMode] - 'dom' (default): structural tree matching, falling back to
+     *                                       regex for patterns that are not element trees.
+     *                                       'regex': legacy regex / balanced matching only.
+     */
+    constructor(options = {}) {
+        const win = options.window || (typeof window !== 'undefined' ? window : null);
+        if (!win) {
+            throw new Error('MigrationEngine requires a DOM implementation (pass { window } when running outside the browser)');
+        }
+        this.window = win;
+        this.document = win.document;
+        this.parser = new win.DOMParser();
+        this.matchMode = options.matchMode || 'dom';
+        this.templateCache = new Map();
+    }
+
+    /**
+     * Converts a simplified pattern string into a Regular Expression.
+     * Robust Version: Handles whitespace differences between pattern and source.
+     *
+     * Opening tags that declare attributes (e.g. <img src="{{src}}" alt="{{alt}}">) are matched
+     * by tag name + required attributes, in any order and with extra attributes allowed
+     * (loading="lazy", width...). Attribute values may contain variables.
+     * Bare tags without attributes (e.g. <ul>) still only match the bare tag.
+     *
+     * @returns {{regex: RegExp, variables: string[], groupVariables: Array<string|null>}}
+     *          groupVariables[i] is the variable captured by group i+1 (null for helper groups).
+     */
+    compilePattern(patternString) {
+        const state = { regexStr: '', vars: [], groupVariables: [] };
+
+        // 1. Split out opening tags that have attributes; everything else is handled as text.
+        const openTagRegex = /<([a-zA-Z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)+)\s*\/?>/g;
+        let lastIndex = 0;
+        let tagMatch;
+        while ((tagMatch = openTagRegex.exec(patternString)) !== null) {
+            this.compileTextChunk(patternString.substring(lastIndex, tagMatch.index), state);
+            this.compileOpenTag(tagMatch[1], tagMatch[2], state);
+            lastIndex = openTagRegex.lastIndex;
+        }
+        this.compileTextChunk(patternString.substring(lastIndex), state);
+
+        return {
+            regex: new RegExp(state.regexStr, 'gi'),
+            variables: state.vars,
+            groupVariables: state.groupVariables
+        };
+    }
+
+    /**
+     * Maps the capture groups of a compilePattern() match back to { variable: value }.
+     * A variable that appears more than once keeps its last non-empty value.
+     */
+    extractVariables(groupVariables, groups) {
+        const extracted = {};
+        groupVariables.forEach((name, i) => {
+            if (!name) return;
+            const value = groups[i] || '';
+            if (value || !(name in extracted)) extracted[name] = value;
+        });
+        return extracted;
+    }
+
+    compileTextChunk(text, state) {
+        // 1. Split by {{variable}}
+        // We want to transform the static parts (HTML tags) to be regex-safe AND whitespace-flexible.
+
+        // (Same shape as VARIABLE_TOKEN, but with a single capture group so split() keeps whole tokens)
+        const parts = text.split(/({{\w+(?:\|[^{}|]+)*}})/g);
+
+        parts.forEach(part => {
+            // Check if it's a variable reference
+            const varMatch = part.match(new RegExp(`^${VARIABLE_TOKEN.source}$`));
+            if (varMatch) {
+                // It's a variable (filters only apply when rendering, so they are ignored here)
+                state.vars.push(varMatch[1]);
+                state.groupVariables.push(varMatch[1]);
+                // Capture content non-greedy
+                state.regexStr += '([\\s\\S]*?)';
+            } else {
+                // It's static text
+                if (!part) return; // Empty split result
+
+                // Escape regex special chars
+                let escaped = this.escapeRegex(part);
+
+                // 1. Flexible Whitespace: Replace meaningful whitespace with \s*
+                escaped = escaped.replace(/\s+/g, '\\s*');
+
+                // 2. Flexible Quotes: Replace " or ' with ['"] (match either)
+                // note: " and ' are not special regex chars so they weren't escaped by step 1
+                escaped = escaped.replace(/["']/g, "['\"]");
+
+                // 3. Flexible Tag Closing: Replace > with \s*/?> to match > or />
+                // This helps with <img ...> vs <img ... />
+                escaped = escaped.replace(/>/g, "\\s*\\/?>");
+
+                state.regexStr += escaped;
+            }
+        });
+    }
+
+    /**
+     * Compiles <tag attr="value" attr2="{{var}}"> into
+     *   <tag(?=[^>]*\sattr=...)(?=[^>]*\sattr2=...)[^>]*>
+     * Each required attribute is a lookahead, so attribute order and extra attributes don't matter.
+     */
+    compileOpenTag(tagName, attrString, state) {
+        let regexStr = `<${this.escapeRegex(tagName)}(?=[\\s/>])`;
+
+        const attrRegex = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+        let attrMatch;
+        while ((attrMatch = attrRegex.exec(attrString)) !== null) {
+            const attrName = this.escapeRegex(attrMatch[1]);
+            const value = attrMatch[2] !== undefined ? attrMatch[2] : attrMatch[3];
+
+            if (value === undefined) {
+                // Boolean attribute (e.g. itemscope)
+                regexStr += `(?=[^>]*?\\s${attrName}(?=[\\s=/>]))`;
+                continue;
+            }
+
+            // Quote group: lets the value be wrapped in either " or ', then back-referenced
+            state.groupVariables.push(null);
+            const quoteGroup = state.groupVariables.length;
+            const notQuote = `(?:(?!\\${quoteGroup})[\\s\\S])`;
+
+            let valueStr = '';
+            value.split(/({{\w+(?:\|[^{}|]+)*}})/g).forEach(piece => {
+                const varMatch = piece.match(new RegExp(`^${VARIABLE_TOKEN.source}$`));
+                if (varMatch) {
+                    state.vars.push(varMatch[1]);
+                    state.groupVariables.push(varMatch[1]);
+                    valueStr += `(${notQuote}*?)`;
+                } else if (piece) {
+                    valueStr += this.escapeRegex(piece).replace(/\s+/g, '\\s*');
+                }
+            });
+
+            regexStr += `(?=[^>]*?\\s${attrName}\\s*=\\s*(["'])${valueStr}\\${quoteGroup})`;
+        }
+
+        state.regexStr += regexStr + '[^>]*>';
+    }
+
+    escapeRegex(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Renders a target pattern with given data.
+     * Applies strict rules: if a variable is empty, try to avoid empty tags?
+     * Actually rule is: "If target part has 'title' or 'a tag', but source text is missing, don't add empty tag."
+     *
+     * Sections let the pattern author control this explicitly:
+     *   {{#title}}<div class="box-ttl">{{title}}</div>{{/title}}  -> kept only if 'title' is non-empty
+     *   {{^title}}<div class="box-ttl">No title</div>{{/title}}   -> kept only if 'title' is empty
+     */
+    renderTarget(patternString, data) {
+        let result = this.renderSections(patternString, data);
+
+        // Replace {{key}} / {{key|filters}}
+        result = result.replace(new RegExp(VARIABLE_TOKEN.source, 'g'), (match, key, filterChain) => {
+            return this.applyFilters(data[key] || '', filterChain);
+        });
+
+        // Clean up empty interpolation leftovers
+        result = result.replace(/{{\w+}}/g, '');
+
+        // Standardize empty hrefs (handle href="" or href='')
+        // If href matches nothing or empty string, we want to strip the A tag.
+        // Regex: <a [^>]*href=["']?["']?[^>]*>([\s\S]*?)<\/a>
+        // Use a loop to handle nesting or multiple occurrences strictly? 
+        // Simple regex approach:
+        result = result.replace(/<a\s+(?:[^>]*?\s+)?href=(["'])(?:\s*)\1[^>]*>([\s\S]*?)<\/a>/gi, '$2');
+        result = result.replace(/<a\s+(?:[^>]*?\s+)?href=(?:(?!\s|>)[^"'])+[^>]*>([\s\S]*?)<\/a>/gi, '$1'); // no quotes
+        // Special case: href is empty attribute <a href ...>
+        // Simplest check: if we just produced href="", strip it.
+        result = result.replace(/<a\s+[^>]*href=["']["'][^>]*>([\s\S]*?)<\/a>/gi, '$1');
+
+        // Strict Rule: Remove empty tags that might have been created
+        // Removed aggressive regex here. 
+        // We rely on 'cleanHtml' (DOM based) which occurs after migration and is smarter (preserves semantic spacers).
+        // result = result.replace(/<(\w+)[^>]*>\s*<\/\1>/gi, '');
+
+        return result;
+    }
+
+    /**
+     * Splits a filter chain ("|trim|pad:2") into [{ name, args }].
+     */
+    parseFilterChain(filterChain) {
+        if (!filterChain) return [];
+        return filterChain.split('|').slice(1).map(spec => {
+            const colon = spec.indexOf(':');
+            if (colon === -1) return { name: spec.trim(), args: [] };
+
+            const name = spec.substring(0, colon).trim();
+            const arg = spec.substring(colon + 1);
+            return { name, args: LIST_ARG_FILTERS.includes(name) ? arg.split(':') : [arg] };
+        });
+    }
+
+    applyFilters(value, filterChain) {
+        return this.parseFilterChain(filterChain).reduce((current, filter) => {
+            const fn = PATTERN_FILTERS[filter.name];
+            // Unknown filters are rejected at registration; ignore them defensively here.
+            return fn ? String(fn(current, ...filter.args)) : current;
+        }, String(value));
+    }
+
+    /**
+     * Returns a list of error messages for unknown filters used in a pattern.
+     */
+    validatePatternFilters(patternString) {
+        const errors = [];
+        const tokenRegex = new RegExp(VARIABLE_TOKEN.source, 'g');
+        let match;
+        while ((match = tokenRegex.exec(patternString)) !== null) {
+            this.parseFilterChain(match[2]).forEach(filter => {
+                if (!PATTERN_FILTERS[filter.name]) {
+                    errors.push(`不明なフィルター "${filter.name}" があります (${match[0]})`);
+                }
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * Resolves {{#var}}...{{/var}} (render if non-empty) and {{^var}}...{{/var}} (render if empty)
+     * sections. Whitespace-only values count as empty. Sections are resolved innermost-first,
+     * so they can be nested.
+     */
+    renderSections(patternString, data) {
+        // Body must not contain another section opener, so each match is an innermost section.
+        const sectionRegex = /{{([#^])(\w+)}}((?:(?!{{[#^]\w+}})[\s\S])*?){{\/\2}}/g;
+
+        let result = patternString;
+        let previous;
+        do {
+            previous = result;
+            result = result.replace(sectionRegex, (match, type, key, body) => {
+                const value = data[key];
+                const hasValue = value !== undefined && value !== null && String(value).trim() !== '';
+                return (type === '#') === hasValue ? body : '';
+            });
+        } while (result !== previous);
+
+        return result;
+    }
+
+    /**
+     * Order in which source parts are matched (shared by migrate and analyze).
+     */
+    sortSourceParts(sourceParts) {
+        // Optimize: Sort source parts by **Pattern Length** (Descending).
+        // Larger blocks (containers) should be matched before smaller ones (inner tags).
+        // Otherwise, replacing an inner tag might break the outer tag's pattern.
+        // An explicit "priority" (## Priority in the definition) wins over length; default is 0.
+        const priority = (part) => Number.isFinite(part.priority) ? part.priority : 0;
+        return [...sourceParts].sort((a, b) => (priority(b) - priority(a)) || (b.pattern.length - a.pattern.length));
+    }
+
+    /**
+     * Pairs each source part with a target part.
+     * An explicit mapping rule (source part name -> target part name) wins; otherwise parts are
+     * paired by identical name. Several source parts may point at the same target part.
+     * A rule may also rename variables ({ title: 'heading' } feeds source {{title}} into target {{heading}}).
+     * A rule with target: null keeps the part unmapped even if a target part has the same name
+     * (composeMappingRules() uses it).
+     *
+     * @param {Array} [mappingRules] - [{ source, target, variables? }]
+     * @returns {Object} { sourcePartName: { name, pattern, variables } }
+     */
+    resolveTargetMap(sourceParts, targetParts, mappingRules = []) {
+        const targetByName = {};
+        targetParts.forEach(p => targetByName[p.name] = p);
+
+        const ruleBySource = {};
+        (mappingRules || []).forEach(rule => ruleBySource[rule.source] = rule);
+
+        const targetMap = {};
+        sourceParts.forEach(sPart => {
+            const rule = ruleBySource[sPart.name];
+            if (rule && rule.target === null) return;
+            const tPart = targetByName[rule && rule.target ? rule.target : sPart.name];
+            if (tPart) {
+                targetMap[sPart.name] = {
+                    name: tPart.name,
+                    pattern: tPart.pattern,
+                    variables: (rule && rule.variables) || {}
+                };
+            }
+        });
+        return targetMap;
+    }
+
+    /**
+     * Mapping rules for converting through the canonical part vocabulary (source -> canonical ->
+     * target) in a single migrate() call: each source part is followed to its canonical part and on
+     * to that part's target, and the variable renames of both steps are chained. Parts that stop
+     * halfway get the fallback of the step they stopped at.
+     *
+     * @param {Object} [toCanonical] - { rules, fallback } of the source -> canonical site pair
+     * @param {Object} [fromCanonical] - { rules, fallback } of the canonical -> target site pair
+     * @returns {Array} mapping rules for migrate(sourceHtml, sourceParts, targetParts, { mappingRules })
+     */
+    composeMappingRules(sourceParts, canonicalParts, targetParts, toCanonical = {}, fromCanonical = {}) {
+        const firstMap = this.resolveTargetMap(sourceParts, canonicalParts, toCanonical.rules);
+        const secondMap = this.resolveTargetMap(canonicalParts, targetParts, fromCanonical.rules);
+
+        // Fallback for a canonical part without a target
+        const secondFallback = (name) => {
+            const policy = this.resolveFallback({ name }, fromCanonical.rules, fromCanonical.fallback);
+            if (policy.strategy !== 'generic') return policy;
+            return targetParts.some(p => p.name === policy.target) ? policy : { strategy: 'keep' };
+        };
+
+        return sourceParts.map(sPart => {
+            const canonical = firstMap[sPart.name];
+            if (!canonical) {
+                const policy = this.resolveFallback(sPart, toCanonical.rules, toCanonical.fallback);
+                if (policy.strategy !== 'generic') return { source: sPart.name, target: null, fallback: policy };
+
+                // A generic canonical part is converted with whatever that part maps to
+                const generic = secondMap[policy.target];
+                return {
+                    source: sPart.name,
+                    target: null,
+                    fallback: generic ? { strategy: 'generic', target: generic.name } : secondFallback(policy.target)
+                };
+            }
+
+            const target = secondMap[canonical.name];
+            if (!target) return { source: sPart.name, target: null, fallback: secondFallback(canonical.name) };
+
+            const variables = {};
+            this.getPatternVariables(sPart.pattern).all.forEach(name => {
+                const canonicalName = canonical.variables[name] || name;
+                const targetName = target.variables[canonicalName] || canonicalName;
+                if (targetName !== name) variables[name] = targetName;
+            });
+            return { source: sPart.name, target: target.name, variables };
+        });
+    }
+
+    /**
+     * Mapping options for migrate() between two registry sites: the site pair's own mapping or, when
+     * converting through the canonical vocabulary, both steps combined (composeMappingRules()).
+     * Shared by the UI, the CLI and runFixtures().
+     *
+     * @param {Object} registry - { sites, mappings }
+     * @param {boolean} [viaCanonical]
+     * @returns {{options: {mappingRules, fallback?, urls?}, canonical: Object|null}}
+     *          canonical: the site converted through; null for the direct mapping (also when there
+     *          is no canonical site or it is one of the pair)
+     */
+    siteMappingOptions(registry, srcSite, tgtSite, viaCanonical = false) {
+        const findMapping = (from, to) => (registry.mappings || []).find(m => m.from === from && m.to === to);
+
+        const canonical = viaCanonical ? registry.sites.find(s => s.canonical) : null;
+        if (canonical && canonical.id !== srcSite.id && canonical.id !== tgtSite.id) {
+            const toCanonical = findMapping(srcSite.id, canonical.id);
+            const fromCanonical = findMapping(canonical.id, tgtSite.id);
+            return {
+                options: {
+                    mappingRules: this.composeMappingRules(srcSite.parts, canonical.parts, tgtSite.parts, toCanonical, fromCanonical),
+                    urls: [toCanonical && toCanonical.urls, fromCanonical && fromCanonical.urls]
+                },
+                canonical
+            };
+        }
+
+        const mapping = findMapping(srcSite.id, tgtSite.id);
+        return {
+            options: {
+                mappingRules: mapping ? mapping.rules : [],
+                fallback: mapping ? mapping.fallback : undefined,
+                urls: mapping ? mapping.urls : undefined
+            },
+            canonical: null
+        };
+    }
+
+    /**
+     * Fallback policy for a source part without a target: the part's mapping rule first, then the
+     * site pair default. Unknown strategies are treated as 'keep'.
+     *
+     * @param {Array} [mappingRules] - [{ source, fallback?: { strategy, target? } }]
+     * @param {Object} [defaultFallback] - { strategy, target? }
+     * @returns {{strategy: string, target?: string}}
+     */
+    resolveFallback(sPart, mappingRules, defaultFallback) {
+        const rule = (mappingRules || []).find(r => r.source === sPart.name);
+        const policy = (rule && rule.fallback) || defaultFallback;
+        return policy && FALLBACK_STRATEGIES.includes(policy.strategy) ? policy : { strategy: 'keep' };
+    }
+
+    /**
+     * Variable renames for a generic fallback target: variables only the source has are fed, in
+     * pattern order, into variables only the target has ({{title}} -> {{content}} for a default box).
+     */
+    pairUnmatchedVariables(sourcePattern, targetPattern) {
+        const sourceVars = [...this.getPatternVariables(sourcePattern).all];
+        const targetVars = [...this.getPatternVariables(targetPattern).all];
+        const sourceOnly = sourceVars.filter(name => !targetVars.includes(name));
+        const targetOnly = targetVars.filter(name => !sourceVars.includes(name));
+
+        const variables = {};
+        sourceOnly.forEach((name, i) => {
+            if (targetOnly[i]) variables[name] = targetOnly[i];
+        });
+        return variables;
+    }
+
+    /**
+     * Output for a fallback strategy that doesn't go through a target part (unwrap / drop / comment).
+     */
+    renderFallback(strategy, sPart, captured, sourceText) {
+        if (strategy === 'drop') return '';
+        if (strategy === 'unwrap') {
+            // Variable values in the order they appear in the pattern
+            return [...this.getPatternVariables(sPart.pattern).all]
+                .map(name => captured[name])
+                .filter(value => value && value.trim())
+                .join('\n');
+        }
+        // 'comment': "--" is not allowed inside a comment
+        const label = sPart.name.replace(/--/g, '- -');
+        return `<!-- MIGRATION-TODO: ${label} -->${sourceText}<!-- /MIGRATION-TODO -->`;
+    }
+
+    /**
+     * Variable names a pattern consumes ({{var}}, {{var|filter}}, {{#var}}, {{^var}}).
+     * @returns {{all: Set, required: Set}} required excludes vars that have a default:... filter
+     */
+    getPatternVariables(pattern) {
+        const all = new Set();
+        const required = new Set();
+
+        const tokenRegex = new RegExp(VARIABLE_TOKEN.source, 'g');
+        let match;
+        while ((match = tokenRegex.exec(pattern)) !== null) {
+            all.add(match[1]);
+            if (!this.parseFilterChain(match[2]).some(f => f.name === 'default')) required.add(match[1]);
+        }
+        // Sections only test the value, so they don't make a variable required
+        (pattern.match(/{{[#^]\w+}}/g) || []).forEach(token => all.add(token.replace(/[{}#^]/g, '')));
+
+        return { all, required };
+    }
+
+    /**
+     * Renames captured variables per the mapping rule, renders the target, and records
+     * captured variables the target doesn't use (content would be lost) and target variables
+     * nothing was captured for (would render empty).
+     */
+    renderMapped(sPart, target, captured, warnings) {
+        const data = {};
+        Object.entries(captured).forEach(([key, value]) => {
+            data[target.variables[key] || key] = value;
+        });
+
+        const targetVars = this.getPatternVariables(target.pattern);
+        const addWarning = (type, variable) => {
+            const existing = warnings.find(w => w.part === sPart.name && w.type === type && w.variable === variable);
+            if (existing) {
+                existing.count++;
+            } else {
+                warnings.push({ part: sPart.name, target: target.name, type, variable, count: 1 });
+            }
+        };
+
+        Object.entries(data).forEach(([key, value]) => {
+            if (value && value.trim() && !targetVars.all.has(key)) {
+                addWarning('unused_variable', key);
+            }
+        });
+        targetVars.required.forEach(key => {
+            if (!(key in data)) {
+                addWarning('unfilled_variable', key);
+            }
+        });
+
+        return this.renderTarget(target.pattern, data);
+    }
+
+    /**
+     * Main migration function.
+     * @param {string} sourceHtml 
+     * @param {Array} sourceParts - definitions from registry
+     * @param {Array} targetParts - definitions from registry (paired by mapping rule, else by name)
+     * @param {Object} [options]
+     * @param {Array} [options.mappingRules] - [{ source, target, variables?, fallback? }] part pairs for this site pair
+     * @param {Object} [options.fallback] - { strategy, target? } for parts without a target (see FALLBACK_STRATEGIES)
+     * @param {Array} [options.metadataRules] - the source site's page.metadata (see DEFAULT_METADATA_RULES)
+     * @param {string} [options.pageHtml] - full page the body was extracted from, for metadata (default: sourceHtml)
+     * @param {Object|Array} [options.urls] - { base?, rules?, links? } URL rewriting for this site pair
+     *                                         (see rewriteUrl()); an array of them is applied in order
+     * @param {number} [options.passes] - maximum number of passes (default 1, at most MAX_MIGRATION_PASSES).
+     *                                    Later passes only scan variable content that no replacement has
+     *                                    converted yet (e.g. a box nested in a box); they stop as soon as
+     *                                    one converts nothing new.
+     * @param {Object} [options.sanitize] - the target site's page.sanitize policy (see cleanHtml())
+     * @returns {{code: string, preview: string, missing: Array, warnings: Array, diff: Array,
+     *            replacements: Array, marked: string, unprocessed: string, fallbacks: Array, metadata: Object,
+     *            metadataIssues: Array, assets: Array, urlIssues: Array, passes: number, cycle: boolean,
+     *            passLimit: boolean, sanitized: Array}}
+     *          warnings: [{ part, target, type: 'unused_variable'|'unfilled_variable', variable, count }]
+     *          fallbacks: [{ part, strategy, target?, count }] fallbacks that were applied
+     *          metadata: { title, description, image, publishedAt, modifiedAt, author, ...site keys }
+     *          metadataIssues: [{ key, message }] metadata rules that failed (see extractMetadata())
+     *          assets: [{ original, url, tag, attribute, count }] files referenced by the output
+     *          urlIssues: [{ rule, message }] URL rewrite rules that were skipped as invalid
+     *          sanitized: [{ type: 'tag'|'attribute'|'class'|'empty', name, count }] what cleanHtml() removed
+     *          diff: side-by-side segments, see buildDiffSegments()
+     *          replacements: [{ id, part, target, sourceRange: {start, end}, source, variables, output }]
+     *                        sourceRange/source refer to the original sourceHtml
+     *          marked: output with diff markers
+     *          unprocessed: marked output before cleanHtml() / URL rewriting, for applyReview()
+     *          passes: passes that changed something; cycle: true when passes were stopped because
+     *                  the output went back to an earlier state (that pass is undone); passLimit: true when
+     *                  the last allowed pass still converted something
+     */
+    migrate(sourceHtml, sourceParts, targetParts, options = {}) {
+        let currentHtml = sourceHtml;
+
+        // Source part name -> target pattern
+        const targetMap = this.resolveTargetMap(sourceParts, targetParts, options.mappingRules);
+
+        const missingMappings = []; // Track missing parts
+        const warnings = []; // Variable mismatches between source and target parts
+        const replacements = []; // One entry per diff marker pair (index = marker id)
+        const fallbacks = []; // Applied fallback strategies for unmapped parts
+
+        // Iterate over source parts and attempt to find valid matches
+        // Optimization: Sort source parts by complexity or length? 
+        // For now, sequential order.
+
+        const sortedSourceParts = this.sortSourceParts(sourceParts);
+
+        const maxPasses = Math.min(Math.max(Math.floor(options.passes) || 1, 1), MAX_MIGRATION_PASSES);
+        // State after each pass, to detect parts converting each other's output back and forth
+        const snapshots = [];
+        let pass = 1;
+        let cycle = false;
+        let passLimit = false;
+
+        for (; pass <= maxPasses; pass++) {
+            const replacementCount = replacements.length;
+
+            for (const sPart of sortedSourceParts) {
+                let target = targetMap[sPart.name];
+                let fallback = null;
+                if (!target) {
+                    fallback = this.resolveFallback(sPart, options.mappingRules, options.fallback);
+                    if (fallback.strategy === 'generic') {
+                        const generic = targetParts.find(p => p.name === fallback.target);
+                        target = generic ? {
+                            name: generic.name,
+                            pattern: generic.pattern,
+                            variables: this.pairUnmatchedVariables(sPart.pattern, generic.pattern)
+                        } : null;
+                    }
+
+                    if (fallback.strategy === 'keep' || (fallback.strategy === 'generic' && !target)) {
+                        // Check if this source part IS actually used in the HTML.
+                        // If it is used but we can't convert it, that's a reportable "Missing Mapping".
+                        // (Later passes only re-scan content the first one already saw.)
+                        if (pass === 1 && this.partMatches(sPart.pattern, currentHtml) && !missingMappings.some(m => m.name === sPart.name)) {
+                            missingMappings.push({
+                                name: sPart.name,
+                                pattern: sPart.pattern
+                            });
+                        }
+                        continue;
+                    }
+                }
+
+                // Renders one match and wraps it in id'd diff markers, remembering where it came from
+                const render = (captured, matchedText) => {
+                    const sourceText = this.stripVariableMarkers(matchedText);
+                    const output = target
+                        ? this.renderMapped(sPart, target, captured, warnings)
+                        : this.renderFallback(fallback.strategy, sPart, captured, sourceText);
+                    const id = replacements.length;
+                    replacements.push({
+                        id,
+                        part: sPart.name,
+                        target: target ? target.name : `(${fallback.strategy})`,
+                        source: sourceText, // Text at match time (restored to original text below)
+                        variables: captured,
+                        output
+                    });
+                    if (fallback) {
+                        replacements[id].fallback = fallback.strategy;
+                        const applied = fallbacks.find(f => f.part === sPart.name);
+                        if (applied) {
+                            applied.count++;
+                        } else {
+                            fallbacks.push({ part: sPart.name, strategy: fallback.strategy, target: target ? target.name : undefined, count: 1 });
+                        }
+                    }
+                    // A comment-wrapped (or dropped) region is handled as a whole; elsewhere only the
+                    // variable content stays open to later passes
+                    const handled = fallback && (fallback.strategy === 'comment' || fallback.strategy === 'drop');
+                    const body = maxPasses > 1 && !handled ? this.markVariableContent(output, captured) : output;
+                    return `<!--__DIFF_START__:${id}-->${body}<!--__DIFF_END__:${id}-->`;
+                };
+
+                // Later passes: offsets inside markup a replacement rendered (not its variable content)
+                const rendered = pass > 1 ? this.renderedRanges(currentHtml) : [];
+                const isRendered = (index) => rendered.some(([start, end]) => index >= start && index < end);
+
+                // Structural (tree) matching handles nesting, multiple variables and attributes.
+                const template = this.matchMode === 'dom' ? this.compileTemplate(sPart.pattern) : null;
+                if (template) {
+                    currentHtml = this.migrateTree(currentHtml, template, render, isRendered);
+                    continue;
+                }
+
+                // Check if this part is a "Simple Container" (e.g. <div class="box">{{content}}</div>)
+                // If so, we use Balanced Matching to handle nesting correctly.
+                const containerInfo = this.analyzeContainer(sPart.pattern);
+
+                if (containerInfo.isContainer) {
+                    currentHtml = this.migrateBalanced(currentHtml, sPart, render, containerInfo, isRendered);
+                } else {
+                    // Fallback to Standard Regex Migration
+                    const { regex, groupVariables } = this.compilePattern(sPart.pattern);
+
+                    currentHtml = currentHtml.replace(regex, (match, ...args) => {
+                        if (isRendered(args[args.length - 2])) return match;
+                        const extracted = this.extractVariables(groupVariables, args);
+                        return render(extracted, match);
+                    });
+                }
+            }
+
+            if (replacements.length === replacementCount) break;
+
+            const state = this.stripDiffMarkers(this.stripVariableMarkers(currentHtml));
+            const previous = snapshots.find(s => s.state === state);
+            if (previous) {
+                // Back to an earlier output: undo this pass and stop
+                currentHtml = previous.html;
+                replacements.length = previous.replacementCount;
+                warnings.splice(0, warnings.length, ...previous.warnings);
+                fallbacks.splice(0, fallbacks.length, ...previous.fallbacks);
+                cycle = true;
+                break;
+            }
+            snapshots.push({
+                state,
+                html: currentHtml,
+                replacementCount: replacements.length,
+                warnings: warnings.map(w => ({ ...w })),
+                fallbacks: fallbacks.map(f => ({ ...f }))
+            });
+        }
+        if (pass > maxPasses && maxPasses > 1) passLimit = true;
+
+        currentHtml = this.stripVariableMarkers(currentHtml);
+        replacements.forEach(r => Object.keys(r.variables).forEach(name => {
+            r.variables[name] = this.stripVariableMarkers(r.variables[name]);
+        }));
+
+        // Locate every replacement in the original input (must run before cleanup, while
+        // everything outside the markers is still the untouched source text)
+        this.assignSourceRanges(currentHtml, replacements, 0);
+        replacements.forEach(r => r.source = this.restoreSource(r.source, replacements));
+
+        const metadataIssues = [];
+        return {
+            ...this.finishOutput(currentHtml, replacements, options),
+            unprocessed: currentHtml,
+            missing: missingMappings,
+            warnings: warnings,
+            replacements: replacements,
+            fallbacks: fallbacks,
+            metadata: this.extractMetadata(options.pageHtml || sourceHtml, options.metadataRules, metadataIssues),
+            metadataIssues,
+            passes: snapshots.length,
+            cycle,
+            passLimit
+        };
     }
 
-    /**
-     * Converts a simplified pattern string into a Regular Expression.
-     * Robust Version: Handles whitespace differences between pattern and source.
-     */
-    compilePattern(patternString) {
-        // 1. Split by {{variable}}
-        // We want to transform the static parts (HTML tags) to be regex-safe AND whitespace-flexible.
+    /**
+     * Post-processing shared by migrate() and applyReview(): DOM-based cleanup (fixes invalid and
+     * unclosed tags, applies the target's policy and removes empties), then URL rewriting.
+     *
+     * @param {string} markedHtml - output with diff markers, before cleanup
+     * @param {Object} [options] - { sanitize?, urls? } as for migrate()
+     * @returns {{code, preview, diff, marked, assets: Array, urlIssues: Array, sanitized: Array}}
+     */
+    finishOutput(markedHtml, replacements, options = {}) {
+        const sanitized = [];
+        const cleaned = this.cleanHtml(markedHtml, options.sanitize, sanitized);
+        const rewritten = this.rewriteUrls(cleaned, options.urls);
+
+        return {
+            ...this.buildOutputs(rewritten.html, replacements),
+            assets: rewritten.assets,
+            urlIssues: rewritten.issues,
+            sanitized
+        };
+    }
+
+    /**
+     * Code, highlighted preview and side-by-side diff for a marked output.
+     */
+    buildOutputs(markedHtml, replacements) {
+        return {
+            // Code: Strip markers
+            code: this.stripDiffMarkers(markedHtml),
+            // Preview: We want to show the CODE with highlights, not rendered HTML.
+            preview: this.renderHighlightedCode(markedHtml, replacements),
+            diff: this.buildDiffSegments(markedHtml, replacements),
+            marked: markedHtml
+        };
+    }
+
+    /**
+     * Editor review: reverts the rejected replacements to their original source snippet.
+     * Replacements nested inside a rejected one disappear with it. The result goes through the
+     * same cleanup and URL rewriting as migrate(), so reverted snippets follow the target's
+     * policy too.
+     *
+     * @param {string} markedHtml - result.unprocessed from migrate()
+     * @param {Array} replacements - result.replacements from migrate()
+     * @param {Array<number>} rejectedIds
+     * @param {Object} [options] - the { sanitize, urls } options the conversion ran with
+     * @returns {{code: string, preview: string, diff: Array, marked: string, assets: Array, urlIssues: Array,
+     *            sanitized: Array}}
+     */
+    applyReview(markedHtml, replacements, rejectedIds, options = {}) {
+        const rejected = new Set(rejectedIds.map(Number));
+
+        const revert = (marked) => this.splitTopLevel(marked).map(piece => {
+            if (piece.type === 'text') return piece.text;
+            if (rejected.has(piece.id)) return replacements[piece.id].source;
+            return `<!--__DIFF_START__:${piece.id}-->${revert(piece.inner)}<!--__DIFF_END__:${piece.id}-->`;
+        }).join('');
+
+        return this.finishOutput(revert(markedHtml), replacements, options);
+    }
+
+    /**
+     * Splits marked HTML into top-level pieces:
+     *   { type: 'text', text } | { type: 'region', id, inner } (inner may contain nested markers)
+     */
+    splitTopLevel(markedHtml) {
+        const pieces = [];
+        const markerRegex = new RegExp(DIFF_MARKER.source, 'g');
+        let lastIndex = 0;
+        let depth = 0;
+        let openId = null;
+        let openIndex = 0;
+        let match;
+
+        while ((match = markerRegex.exec(markedHtml)) !== null) {
+            if (match[1] === 'START') {
+                if (depth === 0) {
+                    if (match.index > lastIndex) pieces.push({ type: 'text', text: markedHtml.substring(lastIndex, match.index) });
+                    openId = Number(match[2]);
+                    openIndex = markerRegex.lastIndex;
+                }
+                depth++;
+            } else {
+                depth--;
+                if (depth === 0) {
+                    pieces.push({ type: 'region', id: openId, inner: markedHtml.substring(openIndex, match.index) });
+                    lastIndex = markerRegex.lastIndex;
+                }
+            }
+        }
+        if (lastIndex < markedHtml.length) pieces.push({ type: 'text', text: markedHtml.substring(lastIndex) });
+
+        return pieces;
+    }
+
+    /**
+     * Sets replacement.sourceRange ({start, end} offsets into the original input).
+     *  - Top-level regions: text outside markers is original, so offsets are counted directly.
+     *  - Replacements that had already happened inside a match's text: counted within its source.
+     *  - Replacements inside a region's output came from its variable content, which is part of
+     *    the region's original text, so they are found there in order.
+     */
+    assignSourceRanges(markedHtml, replacements, offset) {
+        this.splitTopLevel(markedHtml).forEach(piece => {
+            if (piece.type === 'text') {
+                offset += piece.text.length;
+                return;
+            }
+            const r = replacements[piece.id];
+            const original = this.restoreSource(r.source, replacements);
+            r.sourceRange = { start: offset, end: offset + original.length };
+
+            this.assignSourceRanges(r.source, replacements, offset);
+            this.locateNestedRanges(piece.inner, replacements, r.sourceRange.start, original);
+
+            offset += original.length;
+        });
+    }
+
+    locateNestedRanges(markedOutput, replacements, baseOffset, originalText) {
+        let cursor = 0;
+        this.splitTopLevel(markedOutput).forEach(piece => {
+            if (piece.type === 'text') return;
+            const r = replacements[piece.id];
+            if (r.sourceRange) return;
+
+            const original = this.restoreSource(r.source, replacements);
+            const index = originalText.indexOf(original, cursor);
+            if (index === -1) return;
+
+            const start = baseOffset + index;
+            r.sourceRange = { start, end: start + original.length };
+            cursor = index + original.length;
+
+            this.assignSourceRanges(r.source, replacements, start);
+            this.locateNestedRanges(piece.inner, replacements, start, original);
+        });
+    }
+
+    stripDiffMarkers(html) {
+        let code = html.replace(DIFF_MARKER, '');
+
+        // Fix: Unescape comment closers that might have been mangled to --&gt;
+        // Also unescape the start if it was mangled to &lt;!--
+        return code.replace(/--&gt;/g, '-->').replace(/&lt;!--/g, '<!--');
+    }
+
+    stripVariableMarkers(html) {
+        return html.replace(DIFF_HOLE, '');
+    }
+
+    /**
+     * Wraps the captured values that are markup (and made it into the output unchanged) in
+     * DIFF_HOLE markers. Filtered or attribute values are not content later passes could convert.
+     */
+    markVariableContent(output, captured) {
+        const spans = [];
+        Object.values(captured)
+            .filter(value => value && value.includes('<'))
+            .sort((a, b) => b.length - a.length)
+            .forEach(value => {
+                for (let index = output.indexOf(value); index !== -1; index = output.indexOf(value, index + value.length)) {
+                    const end = index + value.length;
+                    if (!spans.some(([s, e]) => index < e && end > s)) spans.push([index, end]);
+                }
+            });
+
+        spans.sort((a, b) => b[0] - a[0]).forEach(([start, end]) => {
+            output = output.substring(0, start) + '<!--__DIFF_HOLE__-->' + output.substring(start, end) +
+                '<!--__DIFF_HOLE_END__-->' + output.substring(end);
+        });
+        return output;
+    }
+
+    /**
+     * [start, end) ranges of marked HTML that replacements rendered: inside a diff marker pair
+     * but not inside one of its variable content holes (see markVariableContent()).
+     */
+    renderedRanges(html) {
+        const ranges = [];
+        const markerRegex = new RegExp(`${DIFF_MARKER.source}|${DIFF_HOLE.source}`, 'g');
+        const open = []; // 'region' | 'hole', innermost last
+        let renderedFrom = null;
+        let match;
+
+        while ((match = markerRegex.exec(html)) !== null) {
+            if (match[1] === 'START') {
+                open.push('region');
+            } else if (match[1] === 'END' || match[3] !== undefined) {
+                open.pop();
+            } else {
+                open.push('hole');
+            }
+
+            const inRendered = open[open.length - 1] === 'region';
+            if (inRendered && renderedFrom === null) {
+                renderedFrom = match.index;
+            } else if (!inRendered && renderedFrom !== null) {
+                ranges.push([renderedFrom, markerRegex.lastIndex]);
+                renderedFrom = null;
+            }
+        }
+        if (renderedFrom !== null) ranges.push([renderedFrom, html.length]);
+
+        return ranges;
+    }
+
+    /**
+     * Escapes marked HTML for display as code, turning diff markers into highlight spans.
+     * Each span carries the replacement id and the part name that produced it.
+     */
+    renderHighlightedCode(markedHtml, replacements) {
+        // 1. Split by markers
+        // 2. Escape HTML in the text parts
+        // 3. Reassemble with highlight spans
+        const markerRegex = new RegExp(DIFF_MARKER.source, 'g');
+        let result = "";
+        let lastIndex = 0;
+        let marker;
+
+        while ((marker = markerRegex.exec(markedHtml)) !== null) {
+            // Escape HTML chars
+            result += this.escapeHtml(markedHtml.substring(lastIndex, marker.index));
+
+            if (marker[1] === 'START') {
+                const info = replacements[marker[2]];
+                const title = info ? `${info.part} → ${info.target}` : '';
+                result += `<span class="diff-highlight" data-replacement="${marker[2]}" title="${this.escapeHtml(title)}">`;
+            } else {
+                result += '</span>';
+            }
+            lastIndex = markerRegex.lastIndex;
+        }
+        result += this.escapeHtml(markedHtml.substring(lastIndex));
+
+        return result;
+    }
+
+    escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#039;");
+    }
+
+    /**
+     * Original source text of a replacement. If inner parts had already been replaced when it
+     * matched, their markers are swapped back for their own original text.
+     */
+    restoreSource(text, replacements) {
+        return text.replace(/<!--__DIFF_START__:(\d+)-->[\s\S]*?<!--__DIFF_END__:\1-->/g, (match, id) => {
+            return this.restoreSource(replacements[id].source, replacements);
+        });
+    }
+
+    /**
+     * Splits the marked output into aligned segments for a side-by-side diff:
+     *   { type: 'same', source, output }                     - untouched HTML (identical on both sides)
+     *   { type: 'replaced', id, part, target, source, output, outputPreview } - top-level replacement
+     * source is original input HTML; output is final code; outputPreview is highlighted code
+     * (nested replacements inside it stay highlighted).
+     */
+    buildDiffSegments(markedHtml, replacements) {
+        const segments = [];
+
+        this.splitTopLevel(markedHtml).forEach(piece => {
+            if (piece.type === 'text') {
+                segments.push({ type: 'same', source: piece.text, output: piece.text });
+                return;
+            }
+            const info = replacements[piece.id];
+            segments.push({
+                type: 'replaced',
+                id: piece.id,
+                part: info.part,
+                target: info.target,
+                source: this.restoreSource(info.source, replacements),
+                output: this.stripDiffMarkers(piece.inner),
+                outputPreview: this.renderHighlightedCode(piece.inner, replacements)
+            });
+        });
+
+        return segments;
+    }
+
+    /**
+     * Dry-run coverage analysis of a source article (nothing is converted).
+     * Parts are matched in the same order as migrate(); elements consumed by a part's static
+     * markup can't be matched again by later parts, mirroring what a real migration does.
+     *
+     * @param {string} sourceHtml
+     * @param {Array} sourceParts - definitions from registry
+     * @returns {{parts: Array, unrecognized: Array}}
+     *   parts:        [{ name, pattern, hits, ranges: [{start, end}] }] (offsets into sourceHtml)
+     *   unrecognized: [{ signature, count, ranges }] for elements with a class that no part covered
+     *                 (e.g. "div.foo"). Bare tags like <p> or <li> are plain content and not reported.
+     */
+    analyze(sourceHtml, sourceParts) {
+        const root = this.parseHtmlTree(sourceHtml);
+
+        // Index elements by start offset (regex matches only know offsets)
+        const elements = [];
+        const collect = (node) => node.children.forEach(child => {
+            if (child.type === 'element') {
+                elements.push(child);
+                collect(child);
+            }
+        });
+        collect(root);
+        const elementsByStart = new Map(elements.map(el => [el.start, el]));
+
+        const claimed = new Set();
+        const parts = this.sortSourceParts(sourceParts).map(part => {
+            const ranges = [];
+            const template = this.matchMode === 'dom' ? this.compileTemplate(part.pattern) : null;
+
+            if (template) {
+                this.findTreeMatches(root, template, claimed).forEach(m => {
+                    m.claimed.forEach(node => claimed.add(node));
+                    ranges.push({ start: m.start, end: m.end });
+                });
+            } else {
+                const { regex } = this.compilePattern(part.pattern);
+                let match;
+                while ((match = regex.exec(sourceHtml)) !== null) {
+                    if (match[0].length === 0) {
+                        regex.lastIndex++;
+                        continue;
+                    }
+                    const el = elementsByStart.get(match.index);
+                    if (el) claimed.add(el);
+                    ranges.push({ start: match.index, end: match.index + match[0].length });
+                }
+            }
+
+            return { name: part.name, pattern: part.pattern, hits: ranges.length, ranges };
+        });
+
+        const unrecognizedMap = new Map();
+        elements.forEach(el => {
+            const signature = this.elementSignature(el);
+            if (claimed.has(el) || !signature) return;
+            if (!unrecognizedMap.has(signature)) {
+                unrecognizedMap.set(signature, { signature, count: 0, ranges: [] });
+            }
+            const entry = unrecognizedMap.get(signature);
+            entry.count++;
+            entry.ranges.push({ start: el.start, end: el.end });
+        });
+
+        return {
+            parts: parts,
+            unrecognized: [...unrecognizedMap.values()].sort((a, b) => b.count - a.count)
+        };
+    }
+
+    // "div.box.box-red" for an element with a class, null otherwise
+    elementSignature(el) {
+        if (!el.attrs.class || !el.attrs.class.trim()) return null;
+        return `${el.tag}.${el.attrs.class.trim().split(/\s+/).join('.')}`;
+    }
+
+    // --- Part Suggestions (learn from sample articles) ---
+
+    /**
+     * Proposes part definitions from sample articles: elements with a class (same tag + class
+     * signature, see elementSignature()) that recur with varying content become patterns with
+     * {{title}} / {{content}} / {{src}}... placeholders.
+     *
+     * Every proposal is run through the tree matcher on the samples and only kept if it matches
+     * each occurrence it was built from (a detailed pattern falls back to a plain container
+     * pattern first). Structure a proposal already covers is not proposed again on its own.
+     * Elements covering more than half of a sample (the article wrapper) are skipped.
+     *
+     * @param {Array<string>} samples - source article HTML
+     * @param {Object} [options]
+     * @param {Array} [options.existingParts] - parts already defined; what they match is skipped
+     * @param {number} [options.minOccurrences] - minimum occurrences over all samples (default 2)
+     * @returns {Array<{name, pattern, description, example, hits, samples}>}
+     *          hits: matches over all samples, samples: number of samples with a match.
+     *          name is the signature (to be renamed); name / pattern / description / example
+     *          can be passed to serializeMarkdownParts() as is.
+     */
+    suggestParts(samples, options = {}) {
+        const minOccurrences = options.minOccurrences || 2;
+        const roots = samples.map(html => this.parseHtmlTree(html));
+        const claimed = new Set();
+        const claimMatches = (template) => {
+            const matches = [];
+            roots.forEach((root, sample) => {
+                this.findTreeMatches(root, template, claimed).forEach(m => matches.push({ ...m, sample }));
+            });
+            return matches;
+        };
+
+        (options.existingParts || []).forEach(part => {
+            const template = this.compileTemplate(part.pattern);
+            if (template) claimMatches(template).forEach(m => m.claimed.forEach(node => claimed.add(node)));
+        });
+
+        // signature -> [{ node, sample, depth }]
+        const groups = new Map();
+        roots.forEach((root, sample) => {
+            const size = root.source.replace(/\s+/g, '').length;
+            const collect = (node, depth) => node.children.forEach(child => {
+                if (child.type !== 'element') return;
+                const signature = this.elementSignature(child);
+                const covers = root.source.substring(child.start, child.end).replace(/\s+/g, '').length;
+                if (signature && covers <= size / 2) {
+                    if (!groups.has(signature)) groups.set(signature, []);
+                    groups.get(signature).push({ node: child, sample, depth });
+                }
+                collect(child, depth + 1);
+            });
+            collect(root, 0);
+        });
+
+        // Outer structures first, so their inner elements are claimed before being considered alone
+        const minDepth = (occurrences) => Math.min(...occurrences.map(o => o.depth));
+        const ordered = [...groups.entries()].sort((a, b) => minDepth(a[1]) - minDepth(b[1]) || b[1].length - a[1].length);
+
+        const suggestions = [];
+        ordered.forEach(([signature, occurrences]) => {
+            const open = occurrences.filter(o => !claimed.has(o.node));
+            if (open.length < minOccurrences) return;
+
+            const nodes = open.map(o => o.node);
+            for (const pattern of [this.buildSuggestedPattern(nodes, false), this.buildSuggestedPattern(nodes, true)]) {
+                const template = this.compileTemplate(pattern);
+                if (!template) continue;
+
+                const matches = claimMatches(template);
+                const matched = new Set(matches.map(m => `${m.sample}:${m.start}`));
+                if (!open.every(o => matched.has(`${o.sample}:${o.node.start}`))) continue;
+
+                matches.forEach(m => m.claimed.forEach(node => claimed.add(node)));
+                const first = open[0];
+                const sampleCount = new Set(matches.map(m => m.sample)).size;
+                suggestions.push({
+                    name: signature,
+                    pattern,
+                    description: `自動提案: サンプル${sampleCount}件で${matches.length}回出現`,
+                    example: roots[first.sample].source.substring(first.node.start, first.node.end),
+                    hits: matches.length,
+                    samples: sampleCount
+                });
+                return;
+            }
+        });
+        return suggestions;
+    }
+
+    /**
+     * Pattern for same-signature elements. Child elements stay static markup while every
+     * occurrence has the same sequence of classed children; other content becomes a variable
+     * ({{title}} for headings / *title* classes, else {{content}}; numbered when repeated).
+     * flat: always use a single variable for the content.
+     */
+    buildSuggestedPattern(nodes, flat) {
+        const voidTags = ['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'source', 'track', 'wbr'];
+        const used = new Map();
+        const variable = (base) => {
+            const count = (used.get(base) || 0) + 1;
+            used.set(base, count);
+            return `{{${count === 1 ? base : base + count}}}`;
+        };
+        const role = (node) => /^h[1-6]$/.test(node.tag) || /(title|ttl|head|label|name)/i.test(node.attrs.class || '')
+            ? 'title'
+            : 'content';
+        const significant = (node) => node.children.filter(c => c.type === 'element' || (c.type === 'text' && c.text.trim()));
+
+        const build = (group) => {
+            const first = group[0];
+            const attrs = first.attrs.class ? [`class="${first.attrs.class.trim()}"`] : [];
+            // URLs differ per article: capture them
+            const urlAttrs = { img: [['src', 'src'], ['alt', 'alt']], source: [['srcset', 'srcset']], a: [['href', 'url']], iframe: [['src', 'src']] };
+            (urlAttrs[first.tag] || []).forEach(([attr, name]) => {
+                if (group.every(node => node.attrs[attr] !== undefined && node.attrs[attr] !== null)) {
+                    attrs.push(`${attr}="${variable(name)}"`);
+                }
+            });
+
+            const openTag = `<${first.tag}${attrs.map(a => ` ${a}`).join('')}>`;
+            if (voidTags.includes(first.tag)) return openTag;
+
+            const sequences = group.map(node => significant(node).map(c => c.type === 'text' ? '#text' : this.elementSignature(c)));
+            const key = sequences[0].join('|');
+            if (sequences.every(seq => seq.length === 0)) return `${openTag}</${first.tag}>`;
+
+            const childGroup = (pick) => group.map(node => pick(significant(node)));
+            const wrap = (children) => `${openTag}\n${children.join('\n')}\n</${first.tag}>`;
+            if (flat) return `${openTag}${variable(role(first))}</${first.tag}>`;
+
+            // Same children everywhere (bare child tags like <p> vary too much: treat those as content)
+            if (sequences.every(seq => seq.join('|') === key) && sequences[0].every(Boolean) && sequences[0].some(sig => sig !== '#text')) {
+                return wrap(sequences[0].map((sig, i) => {
+                    return sig === '#text' ? variable(role(first)) : build(childGroup(children => children[i]));
+                }));
+            }
+
+            // Otherwise keep classed children shared at the start / end (e.g. a box title) around a variable
+            const shared = (at) => {
+                const sig = at(sequences[0]);
+                return sig && sig !== '#text' && sequences.every(seq => at(seq) === sig);
+            };
+            const minLength = Math.min(...sequences.map(seq => seq.length));
+            let prefix = 0;
+            while (prefix < minLength && shared(seq => seq[prefix])) prefix++;
+            let suffix = 0;
+            while (prefix + suffix < minLength && shared(seq => seq[seq.length - 1 - suffix])) suffix++;
+            if (prefix + suffix === 0) return `${openTag}${variable(role(first))}</${first.tag}>`;
+
+            const children = [];
+            for (let i = 0; i < prefix; i++) children.push(build(childGroup(c => c[i])));
+            if (sequences.some(seq => seq.length > prefix + suffix)) children.push(variable('content'));
+            for (let i = suffix - 1; i >= 0; i--) children.push(build(childGroup(c => c[c.length - 1 - i])));
+            return wrap(children);
+        };
+        return build(nodes);
+    }
+
+    // --- Whole-document Mode ---
+
+    /**
+     * Cuts the article body out of a full saved page, so header / footer / nav markup is never
+     * matched against parts. Works on fragments too (the fragment is treated as the <body>).
+     *
+     * @param {string} html
+     * @param {Object} [page] - the site's page settings: { contentRoot?, exclude?, wrapper? }
+     * @returns {{html: string, found: boolean, excluded: number}}
+     *          found: whether contentRoot matched (if not, the whole <body> is used)
+     *          excluded: number of elements removed by the exclude selectors
+     */
+    extractArticle(html, page = {}) {
+        const doc = this.parser.parseFromString(html, 'text/html');
+        const root = page.contentRoot ? doc.querySelector(page.contentRoot) : null;
+        const container = root || doc.body;
+
+        let excluded = 0;
+        (page.exclude || []).forEach(selector => {
+            container.querySelectorAll(selector).forEach(el => {
+                // Already gone with an excluded ancestor
+                if (!container.contains(el)) return;
+                el.remove();
+                excluded++;
+            });
+        });
+
+        return { html: container.innerHTML.trim(), found: !!root, excluded };
+    }
+
+    /**
+     * Wraps migrated code in the target site's article container (page.wrapper, e.g.
+     * '<div class="entry-content">{{content}}</div>'). Without a wrapper the code is returned as is.
+     */
+    wrapArticle(code, page = {}) {
+        if (!page.wrapper) return code;
+        return page.wrapper.replace('{{content}}', () => `\n${code}\n`);
+    }
+
+    /**
+     * Checks a site's page settings (selectors must parse, the wrapper needs one {{content}},
+     * metadata rules need a key and a selector or a pattern with a variable).
+     * @returns {Array<{field: string, message: string}>}
+     */
+    validatePageSettings(page) {
+        const issues = [];
+        const isSelector = (selector) => {
+            try {
+                this.document.createDocumentFragment().querySelector(selector);
+                return true;
+            } catch (e) {
+                return false;
+            }
+        };
+
+        if (page.contentRoot !== undefined) {
+            if (typeof page.contentRoot !== 'string') {
+                issues.push({ field: 'contentRoot', message: '文字列ではありません' });
+            } else if (page.contentRoot.trim() && !isSelector(page.contentRoot)) {
+                issues.push({ field: 'contentRoot', message: `セレクタ "${page.contentRoot}" を解釈できません` });
+            }
+        }
+        if (page.exclude !== undefined) {
+            if (!Array.isArray(page.exclude) || !page.exclude.every(s => typeof s === 'string')) {
+                issues.push({ field: 'exclude', message: '文字列の配列ではありません' });
+            } else {
+                page.exclude.filter(s => !isSelector(s)).forEach(s => {
+                    issues.push({ field: 'exclude', message: `セレクタ "${s}" を解釈できません` });
+                });
+            }
+        }
+        if (page.wrapper !== undefined) {
+            if (typeof page.wrapper !== 'string') {
+                issues.push({ field: 'wrapper', message: '文字列ではありません' });
+            } else if (page.wrapper.split('{{content}}').length !== 2) {
+                issues.push({ field: 'wrapper', message: '{{content}} を1つだけ含めてください' });
+            }
+        }
+        if (page.metadata !== undefined) {
+            if (!Array.isArray(page.metadata)) {
+                issues.push({ field: 'metadata', message: '配列ではありません' });
+            } else {
+                page.metadata.forEach((rule, i) => {
+                    const field = `metadata[${i}]`;
+                    if (!rule || typeof rule.key !== 'string' || !rule.key) {
+                        issues.push({ field, message: 'キーがありません' });
+                    } else if (typeof rule.pattern === 'string') {
+                        if (this.compilePattern(rule.pattern).variables.length === 0) {
+                            issues.push({ field, message: `${rule.key}: パターンに変数 ({{...}}) がありません` });
+                        }
+                    } else if (typeof rule.selector !== 'string' || !isSelector(rule.selector)) {
+                        issues.push({ field, message: `${rule.key}: セレクタ "${rule.selector}" を解釈できません` });
+                    } else if (rule.attribute !== undefined && typeof rule.attribute !== 'string') {
+                        issues.push({ field, message: `${rule.key}: attribute が文字列ではありません` });
+                    }
+                });
+            }
+        }
+        const sanitize = page.sanitize;
+        if (sanitize !== undefined && (sanitize === null || typeof sanitize !== 'object' || Array.isArray(sanitize))) {
+            issues.push({ field: 'sanitize', message: 'オブジェクトではありません' });
+        } else if (sanitize !== undefined) {
+            const formats = {
+                tags: [/^[a-z][\w-]*$/i, 'タグ名'],
+                attributes: [/^(?:[a-z][\w-]*\[[a-z_:][\w:.-]*\]|[a-z_:][\w:.-]*)$/i, '属性名 (name または tag[name])'],
+                classes: [/^-?[_a-z][\w-]*\*?$/i, 'class名'],
+                keepEmpty: [null, 'セレクタ']
+            };
+            Object.entries(formats).forEach(([key, [format, label]]) => {
+                const list = sanitize[key];
+                if (list === undefined) return;
+                const field = `sanitize.${key}`;
+                if (!Array.isArray(list) || !list.every(item => typeof item === 'string')) {
+                    issues.push({ field, message: '文字列の配列ではありません' });
+                    return;
+                }
+                list.filter(item => format ? !format.test(item) : !/^[\w-]+\[\*\]$/.test(item) && !isSelector(item)).forEach(item => {
+                    issues.push({ field, message: `${label} "${item}" を解釈できません` });
+                });
+            });
+        }
+        return issues;
+    }
+
+    // --- Metadata ---
+
+    /**
+     * Reads article metadata (title, OGP image, dates...) from a page.
+     * Keys without a value are still present (as '') so every article has the same shape.
+     *
+     * @param {string} html - full page HTML
+     * @param {Array} [siteRules] - page.metadata; replaces DEFAULT_METADATA_RULES per key
+     * @param {Array} [issues] - receives { key, message } for rules that could not be applied
+     *                           (e.g. an invalid selector); the next rule for the key is tried
+     * @returns {Object} key -> value
+     */
+    extractMetadata(html, siteRules = [], issues = []) {
+        const overridden = new Set(siteRules.map(rule => rule.key));
+        const keys = new Set([...DEFAULT_METADATA_RULES, ...siteRules].map(rule => rule.key));
+        const doc = this.parser.parseFromString(html, 'text/html');
+
+        const metadata = {};
+        keys.forEach(key => {
+            const rules = (overridden.has(key) ? siteRules : DEFAULT_METADATA_RULES).filter(rule => rule.key === key);
+            metadata[key] = '';
+            for (const rule of rules) {
+                try {
+                    metadata[key] = this.applyMetadataRule(doc, html, rule);
+                } catch (e) {
+                    issues.push({ key, message: `${rule.pattern || rule.selector}: ${e.message}` });
+                    continue;
+                }
+                if (metadata[key]) break;
+            }
+        });
+        return metadata;
+    }
+
+    applyMetadataRule(doc, html, rule) {
+        if (rule.pattern) {
+            const { regex, groupVariables } = this.compilePattern(rule.pattern);
+            const match = regex.exec(html);
+            if (!match) return '';
+            const values = this.extractVariables(groupVariables, match.slice(1));
+            const first = groupVariables.find(name => name);
+            return first ? values[first].trim() : '';
+        }
+
+        const el = doc.querySelector(rule.selector);
+        if (!el) return '';
+        const value = rule.attribute ? el.getAttribute(rule.attribute) || '' : el.textContent;
+        return value.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Parses metadata rules written one per line (site page settings editor):
+     *   key: selector             e.g. title: h1.entry-title
+     *   key: selector @attribute  e.g. image: .eyecatch img @src
+     *   key: <pattern>            e.g. publishedAt: <time class="date" datetime="{{date}}">
+     * Empty lines and lines starting with # are ignored.
+     *
+     * @returns {{rules: Array, issues: Array<string>}}
+     */
+    parseMetadataRules(text) {
+        const rules = [];
+        const issues = [];
+        text.split('\n').forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+
+            const m = line.match(/^([\w-]+)\s*:\s*(.+)$/);
+            if (!m) {
+                issues.push(`${i + 1}行目: 「キー: セレクタ」の形式ではありません`);
+                return;
+            }
+            const [, key, value] = m;
+            if (value.startsWith('<')) {
+                rules.push({ key, pattern: value });
+                return;
+            }
+            const attr = value.match(/^(.*?)\s+@([\w:-]+)$/);
+            rules.push(attr ? { key, selector: attr[1], attribute: attr[2] } : { key, selector: value });
+        });
+        return { rules, issues };
+    }
+
+    serializeMetadataRules(rules) {
+        return rules.map(rule => {
+            if (rule.pattern) return `${rule.key}: ${rule.pattern}`;
+            return `${rule.key}: ${rule.selector}${rule.attribute ? ` @${rule.attribute}` : ''}`;
+        }).join('\n');
+    }
+
+    // --- URL Rewriting & Asset Manifest ---
+
+    /**
+     * Rewrites one URL for the target site. Steps, in order:
+     *  1. Relative URLs are made absolute against urls.base (the source site's URL)
+     *  2. urls.links: exact old -> new URL table (internal links between articles); a hit ends here
+     *  3. urls.rules: { type: 'prefix'|'regex', from, to } applied one after another
+     * Fragment, mailto:, tel:, javascript: and data: URLs are never touched.
+     * An array of settings (e.g. both steps of a conversion through the canonical vocabulary) is
+     * applied one after another. Regex rules may carry a precompiled `pattern` (see compileUrlSettings()).
+     */
+    rewriteUrl(url, urls = {}) {
+        if (Array.isArray(urls)) return urls.reduce((result, step) => this.rewriteUrl(result, step || {}), url);
+
+        let result = url.trim();
+        if (!result || /^(#|mailto:|tel:|javascript:|data:)/i.test(result)) return url;
+
+        if (urls.base && !/^[a-z][a-z\d+.-]*:/i.test(result)) {
+            try {
+                result = new URL(result, urls.base).href;
+            } catch (e) {
+                // Not resolvable (e.g. broken base URL): keep as is
+            }
+        }
+
+        const link = (urls.links || []).find(l => l.from === result || l.from === url.trim());
+        if (link) return link.to;
+
+        (urls.rules || []).forEach(rule => {
+            if (rule.type === 'regex') {
+                result = result.replace(rule.pattern || new RegExp(rule.from), rule.to);
+            } else if (result.startsWith(rule.from)) {
+                result = rule.to + result.substring(rule.from.length);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Copy of URL settings with the regex rules compiled once. Rules that are not valid
+     * (see validateUrlSettings()) are left out and reported as { rule, message } in issues.
+     */
+    compileUrlSettings(urls, issues = []) {
+        if (Array.isArray(urls)) return urls.map(step => this.compileUrlSettings(step || {}, issues));
+        if (!Array.isArray(urls.rules)) return urls;
+
+        const rules = [];
+        urls.rules.forEach(rule => {
+            if (!rule || typeof rule.from !== 'string' || !rule.from || typeof rule.to !== 'string') {
+                issues.push({ rule: String(rule && rule.from), message: 'from / to がありません' });
+            } else if (rule.type === 'regex') {
+                try {
+                    rules.push({ ...rule, pattern: new RegExp(rule.from) });
+                } catch (e) {
+                    issues.push({ rule: rule.from, message: e.message });
+                }
+            } else {
+                rules.push(rule);
+            }
+        });
+        return { ...urls, rules };
+    }
+
+    /**
+     * Applies rewriteUrl() to every src / srcset / href in the (marked) output and collects the
+     * asset manifest: src / srcset of media tags (ASSET_SOURCE_TAGS), plus hrefs that point at files
+     * (ASSET_LINK_EXT).
+     * Invalid rewrite rules are skipped (see compileUrlSettings()).
+     *
+     * @returns {{html: string, assets: Array<{original, url, tag, attribute, count}>, issues: Array}}
+     *          original: URL on the source site (absolute when urls.base is set), url: rewritten URL.
+     *          issues: [{ rule, message }] rewrite rules that were skipped.
+     *          html is returned unchanged (not re-serialized) when no URL was rewritten
+     */
+    rewriteUrls(html, urls = {}) {
+        const issues = [];
+        urls = this.compileUrlSettings(urls, issues);
+
+        const div = this.document.createElement('div');
+        div.innerHTML = html;
+
+        const assets = new Map();
+        const record = (el, attribute, value, url) => {
+            if (/^(#|mailto:|tel:|javascript:|data:)/i.test(value) || !value) return;
+            if (attribute === 'href' ? !ASSET_LINK_EXT.test(url) : !ASSET_SOURCE_TAGS.includes(el.tagName.toLowerCase())) return;
+            const first = Array.isArray(urls) ? urls[0] || {} : urls;
+            const original = this.rewriteUrl(value, { base: first.base });
+            if (!assets.has(original)) {
+                assets.set(original, { original, url, tag: el.tagName.toLowerCase(), attribute, count: 0 });
+            }
+            assets.get(original).count++;
+        };
+
+        let changed = false;
+        div.querySelectorAll(URL_ATTRIBUTES.map(attr => `[${attr}]`).join(', ')).forEach(el => {
+            URL_ATTRIBUTES.forEach(attribute => {
+                if (!el.hasAttribute(attribute)) return;
+                const value = el.getAttribute(attribute);
+
+                let rewritten = value;
+                if (attribute === 'srcset') {
+                    const candidates = value.split(',').map(c => c.trim()).filter(Boolean).map(candidate => {
+                        const [original, ...descriptor] = candidate.split(/\s+/);
+                        const url = this.rewriteUrl(original, urls);
+                        record(el, attribute, original, url);
+                        return { original, url, descriptor };
+                    });
+                    if (candidates.some(c => c.url !== c.original)) {
+                        rewritten = candidates.map(c => [c.url, ...c.descriptor].join(' ')).join(', ');
+                    }
+                } else {
+                    rewritten = this.rewriteUrl(value, urls);
+                    record(el, attribute, value.trim(), rewritten);
+                }
+
+                if (rewritten !== value) {
+                    el.setAttribute(attribute, rewritten);
+                    changed = true;
+                }
+            });
+        });
+
+        return { html: changed ? div.innerHTML : html, assets: [...assets.values()], issues };
+    }
+
+    /**
+     * Parses URL rewrite rules written one per line (site pair editor):
+     *   https://old.example.com/wp-content/uploads/ => https://cdn.example.com/img/   (prefix)
+     *   regex: /thumb-(\d+)\.jpg$ => /img/$1.jpg                                      (regex)
+     * @returns {{rules: Array<{type, from, to}>, issues: Array<string>}}
+     */
+    parseUrlRules(text) {
+        const rules = [];
+        const issues = [];
+        this.parseArrowLines(text, issues).forEach(({ from, to, line }) => {
+            const regex = from.match(/^regex:\s*(.+)$/);
+            if (!regex) {
+                rules.push({ type: 'prefix', from, to });
+                return;
+            }
+            try {
+                new RegExp(regex[1]);
+                rules.push({ type: 'regex', from: regex[1], to });
+            } catch (e) {
+                issues.push(`${line}行目: 正規表現を解釈できません (${e.message})`);
+            }
+        });
+        return { rules, issues };
+    }
+
+    serializeUrlRules(rules) {
+        return rules.map(rule => `${rule.type === 'regex' ? 'regex: ' : ''}${rule.from} => ${rule.to}`).join('\n');
+    }
+
+    /**
+     * Parses the internal link table: "old URL => new URL" per line, or two tab separated
+     * columns (pasted from a spreadsheet).
+     * @returns {{links: Array<{from, to}>, issues: Array<string>}}
+     */
+    parseLinkTable(text) {
+        const issues = [];
+        const links = this.parseArrowLines(text.replace(/\t+/g, ' => '), issues).map(({ from, to }) => ({ from, to }));
+        return { links, issues };
+    }
+
+    // "from => to" lines; empty lines and lines starting with # are skipped
+    parseArrowLines(text, issues) {
+        const entries = [];
+        text.split('\n').forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) return;
+            const m = line.match(/^(.+?)\s*=>\s*(.*)$/);
+            if (!m) {
+                issues.push(`${i + 1}行目: 「変換前 => 変換後」の形式ではありません`);
+                return;
+            }
+            entries.push({ from: m[1].trim(), to: m[2].trim(), line: i + 1 });
+        });
+        return entries;
+    }
+
+    /**
+     * Checks a site pair's URL settings ({ base?, rules?, links? }).
+     * @returns {Array<{field: string, message: string}>}
+     */
+    validateUrlSettings(urls) {
+        const issues = [];
+        const isString = (v) => typeof v === 'string';
+
+        if (urls.base !== undefined) {
+            let valid = isString(urls.base);
+            try {
+                if (valid) new URL(urls.base);
+            } catch (e) {
+                valid = false;
+            }
+            if (!valid) issues.push({ field: 'base', message: `"${urls.base}" は絶対URLではありません` });
+        }
+        if (urls.rules !== undefined) {
+            if (!Array.isArray(urls.rules)) {
+                issues.push({ field: 'rules', message: '配列ではありません' });
+            } else {
+                urls.rules.forEach((rule, i) => {
+                    const field = `rules[${i}]`;
+                    if (!rule || !['prefix', 'regex'].includes(rule.type) || !isString(rule.from) || !rule.from || !isString(rule.to)) {
+                        issues.push({ field, message: 'type (prefix / regex)、from、to が必要です' });
+                        return;
+                    }
+                    if (rule.type === 'regex') {
+                        try {
+                            new RegExp(rule.from);
+                        } catch (e) {
+                            issues.push({ field, message: `正規表現を解釈できません (${e.message})` });
+                        }
+                    }
+                });
+            }
+        }
+        if (urls.links !== undefined) {
+            if (!Array.isArray(urls.links) || !urls.links.every(l => l && isString(l.from) && isString(l.to))) {
+                issues.push({ field: 'links', message: '{ from, to } の配列ではありません' });
+            }
+        }
+        return issues;
+    }
+
+    // --- Regression Fixtures ---
+
+    /**
+     * Re-runs migrate() on stored fixtures and compares the code with the expected output.
+     * Shared by the UI ("run all fixtures") and the CLI (--fixtures).
+     *
+     * @param {Object} registry - { sites, mappings } (mapping rules are applied like in a normal conversion)
+     * @param {Array} fixtures - [{ id, name, from, to, input, expected, passes?, viaCanonical? }]
+     *                           passes / viaCanonical: the options the expected output was recorded with
+     * @returns {Array} [{ fixture, status: 'pass'|'fail'|'error', actual, diff, message }]
+     *          diff: see diffLines() (only for 'fail')
+     */
+    runFixtures(registry, fixtures) {
+        const normalize = (html) => html.replace(/\r\n/g, '\n').trim();
+
+        return fixtures.map(fixture => {
+            const srcSite = registry.sites.find(s => s.id === fixture.from);
+            const tgtSite = registry.sites.find(s => s.id === fixture.to);
+            if (!srcSite || !tgtSite) {
+                return { fixture, status: 'error', message: `Unknown site ID: ${!srcSite ? fixture.from : fixture.to}` };
+            }
+
+            const mapping = this.siteMappingOptions(registry, srcSite, tgtSite, fixture.viaCanonical);
+            if (fixture.viaCanonical && !mapping.canonical) {
+                return { fixture, status: 'error', message: 'Recorded through the canonical site, which is not set (or is one of the pair) now' };
+            }
+            try {
+                const result = this.migrate(fixture.input, srcSite.parts, tgtSite.parts, {
+                    ...mapping.options,
+                    passes: fixture.passes,
+                    sanitize: tgtSite.page && tgtSite.page.sanitize
+                });
+                const actual = normalize(result.code);
+                const expected = normalize(fixture.expected);
+                if (actual === expected) {
+                    return { fixture, status: 'pass', actual };
+                }
+                return { fixture, status: 'fail', actual, diff: this.diffLines(expected, actual) };
+            } catch (e) {
+                return { fixture, status: 'error', message: e.message };
+            }
+        });
+    }
+
+    /**
+     * Line-based diff (LCS).
+     * @returns {Array} [{ type: 'same'|'removed'|'added', text }] ('removed' = only in a, 'added' = only in b)
+     */
+    diffLines(a, b) {
+        const left = a.split('\n');
+        const right = b.split('\n');
+
+        // lcs[i][j] = LCS length of left[i..] and right[j..]
+        const lcs = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+        for (let i = left.length - 1; i >= 0; i--) {
+            for (let j = right.length - 1; j >= 0; j--) {
+                lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < left.length && j < right.length) {
+            if (left[i] === right[j]) {
+                lines.push({ type: 'same', text: left[i] });
+                i++;
+                j++;
+            } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                lines.push({ type: 'removed', text: left[i++] });
+            } else {
+                lines.push({ type: 'added', text: right[j++] });
+            }
+        }
+        while (i < left.length) lines.push({ type: 'removed', text: left[i++] });
+        while (j < right.length) lines.push({ type: 'added', text: right[j++] });
+
+        return lines;
+    }
+
+    /**
+     * Parses HTML string -> DOM -> String to fix structural errors, applies the target site's
+     * sanitize policy and recursively removes empty elements.
+     *
+     * @param {Object} [policy] - page.sanitize of the target site; every list is optional:
+     *   tags:      allowed tag names; other elements are unwrapped (DROP_CONTENT_TAGS are removed)
+     *   attributes: allowed attributes, "name" for any tag or "tag[name]" for one tag
+     *   classes:   allowed classes ("prefix-*" allows a prefix); class is then not checked as an attribute
+     *   keepEmpty: elements kept when empty (replaces DEFAULT_KEEP_EMPTY)
+     * @param {Array} [stripped] - receives [{ type: 'tag'|'attribute'|'class'|'empty', name, count }]
+     * @returns {string}
+     */
+    cleanHtml(htmlString, policy = {}, stripped = []) {
+        const div = this.document.createElement('div');
+        div.innerHTML = htmlString;
+
+        const record = (type, name) => {
+            const entry = stripped.find(s => s.type === type && s.name === name);
+            if (entry) {
+                entry.count++;
+            } else {
+                stripped.push({ type, name, count: 1 });
+            }
+        };
+
+        this.applySanitizePolicy(div, policy || {}, record);
+        const keepEmpty = (policy && policy.keepEmpty) || DEFAULT_KEEP_EMPTY;
+        [...div.children].forEach(child => this.recursiveRemoveEmpty(child, keepEmpty, record));
+
+        return div.innerHTML;
+    }
+
+    applySanitizePolicy(root, policy, record) {
+        const listed = (list) => Array.isArray(list) && list.length > 0 ? list.map(item => item.toLowerCase()) : null;
+        const tags = listed(policy.tags);
+        const attributes = listed(policy.attributes);
+        const classes = Array.isArray(policy.classes) && policy.classes.length > 0 ? policy.classes : null;
+        if (!tags && !attributes && !classes) return;
+
+        const classAllowed = (cls) => classes.some(allowed => allowed.endsWith('*')
+            ? cls.startsWith(allowed.slice(0, -1))
+            : cls === allowed);
+
+        // Document order, so an unwrapped element's children are still visited after it
+        [...root.querySelectorAll('*')].forEach(el => {
+            if (!root.contains(el)) return; // Inside a removed element
+            const tag = el.tagName.toLowerCase();
+
+            if (tags && !tags.includes(tag)) {
+                if (DROP_CONTENT_TAGS.includes(tag)) {
+                    el.remove();
+                } else {
+                    el.replaceWith(...el.childNodes);
+                }
+                record('tag', tag);
+                return;
+            }
+
+            [...el.attributes].forEach(attr => {
+                const name = attr.name.toLowerCase();
+                if (name === 'class' && classes) return;
+                if (attributes && !attributes.includes(name) && !attributes.includes(`${tag}[${name}]`)) {
+                    el.removeAttribute(attr.name);
+                    record('attribute', name);
+                }
+            });
 
-        const parts = patternString.split(/({{\w+}})/g);
-        let regexStr = '';
-        const vars = [];
+            if (classes && el.hasAttribute('class')) {
+                [...el.classList].filter(cls => !classAllowed(cls)).forEach(cls => {
+                    el.classList.remove(cls);
+                    record('class', cls);
+                });
+                if (el.classList.length === 0) el.removeAttribute('class');
+            }
+        });
+    }
 
-        parts.forEach(part => {
-            // Check if it's a variable reference
-            const varMatch = part.match(/^{{(\w+)}}$/);
-            if (varMatch) {
-                // It's a variable
-                vars.push(varMatch[1]);
-                // Capture content non-greedy
-                regexStr += '([\\s\\S]*?)';
-            } else {
-                // It's static text
-                if (!part) return; // Empty split result
+    recursiveRemoveEmpty(node, keepEmpty, record) {
+        // Process children first (bottom-up)
+        const children = [...node.children]; // snapshot
+        children.forEach(child => this.recursiveRemoveEmpty(child, keepEmpty, record));
 
-                // Escape regex special chars
-                let escaped = part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const tagName = node.tagName.toLowerCase();
+        const voidTags = ['img', 'br', 'hr', 'input', 'meta', 'link'];
+        if (voidTags.includes(tagName)) return;
 
-                // 1. Flexible Whitespace: Replace meaningful whitespace with \s*
-                escaped = escaped.replace(/\s+/g, '\\s*');
+        // Semantic spacers, icons, table cells... (see DEFAULT_KEEP_EMPTY)
+        if (keepEmpty.some(selector => this.matchesKeepEmpty(node, selector))) return;
 
-                // 2. Flexible Quotes: Replace " or ' with ['"] (match either)
-                // note: " and ' are not special regex chars so they weren't escaped by step 1
-                escaped = escaped.replace(/["']/g, "['\"]");
+        // Empty = no element children and no text. Diff markers are comments, so an element
+        // holding only an (empty) replacement is removed as well.
+        if (node.children.length === 0 && node.textContent.trim() === '') {
+            node.remove();
+            record('empty', tagName);
+        }
+    }
 
-                // 3. Flexible Tag Closing: Replace > with \s*/?> to match > or />
-                // This helps with <img ...> vs <img ... />
-                escaped = escaped.replace(/>/g, "\\s*\\/?>");
+    // CSS selector match, plus "tag[*]" = the tag with at least one attribute
+    matchesKeepEmpty(el, selector) {
+        const anyAttribute = selector.match(/^([\w-]+)\[\*\]$/);
+        if (anyAttribute) {
+            return el.tagName.toLowerCase() === anyAttribute[1].toLowerCase() && el.attributes.length > 0;
+        }
+        try {
+            return el.matches(selector);
+        } catch (e) {
+            return false; // Invalid selectors are reported by validatePageSettings()
+        }
+    }
 
-                // 4. Flexible Attribute Spacing & Content (Experimental)
-                // If there is a space, it might mean "next attribute".
-                // We permit extra attributes in between by allowing [^>]*
-                // But we must be careful not to break "Tag Name" separation.
-                // For now, let's just allow \s+ (which we did in step 1).
+    /**
+     * Parses a sanitize policy list typed into the page settings editor (comma, space or newline
+     * separated; keepEmpty selectors are one per line since they may contain spaces).
+     */
+    parseSanitizeList(text, perLine = false) {
+        return text.split(perLine ? '\n' : /[\s,]+/).map(item => item.trim()).filter(Boolean);
+    }
 
-                regexStr += escaped;
-            }
+    /**
+     * Parses a Markdown string used for defining parts.
+     * Format:
+     * # Part Name
+     * ## Pattern
+     * <html pattern>
+     * ## Description      (optional) Free text for people reading the site manager
+     * ## Example          (optional) Sample source snippet the pattern should match
+     * ## Priority         (optional) Number; higher is matched first (see sortSourceParts)
+     * ## Tags             (optional) Comma / newline separated, or a "- item" list
+     *
+     * @param {string} mdContent
+     * @returns {Array} Array of part objects {name, pattern, description?, example?, priority?, tags?}
+     */
+    parseMarkdownParts(mdContent) {
+        const parts = [];
+
+        this.scanMarkdownSections(mdContent).forEach(({ name, sections }) => {
+            const pattern = (sections.pattern || '').trim();
+            if (!name || !pattern) return;
+
+            const part = { name, pattern };
+            const description = (sections.description || '').trim();
+            const example = (sections.example || '').trim();
+            const priority = (sections.priority || '').trim();
+            const tags = (sections.tags || '')
+                .split(/[,\n]/)
+                .map(tag => tag.replace(/^\s*[-*]\s+/, '').trim())
+                .filter(Boolean);
+
+            // Optional fields are only set when present, so existing registry entries stay unchanged
+            if (description) part.description = description;
+            if (example) part.example = example;
+            if (priority && Number.isFinite(Number(priority))) part.priority = Number(priority); // Else dropped (lint warns)
+            if (tags.length > 0) part.tags = [...new Set(tags)];
+            parts.push(part);
         });
 
-        return {
-            regex: new RegExp(regexStr, 'gi'),
-            variables: vars
-        };
+        // Problems (unknown filters, broken syntax...) are reported by validateParts()
+        return parts;
     }
 
     /**
-     * Renders a target pattern with given data.
-     * Applies strict rules: if a variable is empty, try to avoid empty tags?
-     * Actually rule is: "If target part has 'title' or 'a tag', but source text is missing, don't add empty tag."
+     * Inverse of parseMarkdownParts(): writes parts back in the definition format, so a site can be
+     * downloaded, edited and re-uploaded. parseMarkdownParts(serializeMarkdownParts(parts)) gives the
+     * same parts back, as long as no pattern line itself starts with "# " or "## ".
+     *
+     * @param {Array} parts - [{ name, pattern, description?, example?, priority?, tags? }]
+     * @returns {string}
      */
-    renderTarget(patternString, data) {
-        let result = patternString;
+    serializeMarkdownParts(parts) {
+        return parts.map(part => {
+            const sections = [`# ${part.name}`];
+            if (part.description) sections.push('## Description', part.description);
+            sections.push('## Pattern', part.pattern);
+            if (part.example) sections.push('## Example', part.example);
+            if (part.priority !== undefined) sections.push('## Priority', String(part.priority));
+            if (part.tags && part.tags.length > 0) sections.push('## Tags', part.tags.map(tag => `- ${tag}`).join('\n'));
+            return sections.join('\n');
+        }).join('\n\n') + '\n';
+    }
 
-        // simple replace
-        for (const [key, value] of Object.entries(data)) {
-            // Regex to replace {{key}}
-            const varRegex = new RegExp(`{{${key}}}`, 'g');
-            result = result.replace(varRegex, value || '');
-        }
+    /**
+     * Splits a definition file into "# Name" blocks and their "## Section" contents.
+     * Section keys are lower-cased heading names; unknown headings are kept (their
+     * content is ignored by parseMarkdownParts) so the linter can report them.
+     *
+     * @returns {Array} [{ name, sections: { pattern, description, ... }, unknownHeadings: [] }]
+     */
+    scanMarkdownSections(mdContent) {
+        const knownSections = ['pattern', 'description', 'example', 'priority', 'tags'];
+        const blocks = [];
+        let current = null;
+        let section = null;
 
-        // Clean up empty interpolation leftovers
-        result = result.replace(/{{\w+}}/g, '');
+        mdContent.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('# ')) {
+                // New Part
+                current = { name: line.substring(2).trim(), sections: {}, unknownHeadings: [] };
+                blocks.push(current);
+                section = null;
+            } else if (current && /^##\s/.test(line)) {
+                section = line.substring(3).trim().toLowerCase();
+                // Older files annotate the heading ("## Pattern (HTML)"); any "## Pattern..." counts
+                if (line.startsWith('## Pattern')) section = 'pattern';
+                if (!knownSections.includes(section)) current.unknownHeadings.push(line.trim());
+                current.sections[section] = current.sections[section] || '';
+            } else if (current && section) {
+                current.sections[section] += line + '\n';
+            }
+        });
 
-        // Standardize empty hrefs (handle href="" or href='')
-        // If href matches nothing or empty string, we want to strip the A tag.
-        // Regex: <a [^>]*href=["']?["']?[^>]*>([\s\S]*?)<\/a>
-        // Use a loop to handle nesting or multiple occurrences strictly? 
-        // Simple regex approach:
-        result = result.replace(/<a\s+(?:[^>]*?\s+)?href=(["'])(?:\s*)\1[^>]*>([\s\S]*?)<\/a>/gi, '$2');
-        result = result.replace(/<a\s+(?:[^>]*?\s+)?href=(?:(?!\s|>)[^"'])+[^>]*>([\s\S]*?)<\/a>/gi, '$1'); // no quotes
-        // Special case: href is empty attribute <a href ...>
-        // Simplest check: if we just produced href="", strip it.
-        result = result.replace(/<a\s+[^>]*href=["']["'][^>]*>([\s\S]*?)<\/a>/gi, '$1');
+        return blocks;
+    }
 
-        // Strict Rule: Remove empty tags that might have been created
-        // Removed aggressive regex here. 
-        // We rely on 'cleanHtml' (DOM based) which occurs after migration and is smarter (preserves semantic spacers).
-        // result = result.replace(/<(\w+)[^>]*>\s*<\/\1>/gi, '');
+    /**
+     * Parses a Markdown definition file and validates it in one go (used on registration).
+     * Also reports Markdown-level problems that parseMarkdownParts() silently skips.
+     *
+     * @returns {{parts: Array, issues: Array}} issues: see validateParts()
+     */
+    lintMarkdownParts(mdContent) {
+        const parts = this.parseMarkdownParts(mdContent);
+        const issues = [];
 
-        return result;
+        this.scanMarkdownSections(mdContent).forEach(({ name, sections, unknownHeadings }) => {
+            const add = (message) => issues.push({ part: name, level: 'warning', message });
+
+            unknownHeadings.forEach(heading => add(`不明な見出し "${heading}" は無視されます`));
+            if (!(sections.pattern || '').trim()) {
+                add('"## Pattern" セクションがないため読み込まれませんでした');
+            }
+            const priority = (sections.priority || '').trim();
+            if (priority && !Number.isFinite(Number(priority))) {
+                add(`"## Priority" の値 "${priority}" が数値ではないため無視されます`);
+            }
+        });
+
+        return { parts, issues: issues.concat(this.validateParts(parts)) };
     }
 
     /**
-     * Main migration function.
-     * @param {string} sourceHtml 
-     * @param {Array} sourceParts - definitions from registry
-     * @param {Array} targetParts - definitions from registry (must match by name)
+     * Lint pass over a list of part definitions.
+     * Errors make a pattern unusable (or dangerous) as a source; warnings are likely mistakes.
+     *
+     * @param {Array} parts - [{ name, pattern, priority?, example? }]
+     * @param {Object} [options]
+     * @param {boolean} [options.source] - the parts are converted from: a variable captured more than
+     *                                     once is ambiguous (in a target, reusing one is fine)
+     * @returns {Array} [{ part, level: 'error'|'warning', message }]
      */
-    migrate(sourceHtml, sourceParts, targetParts) {
-        let currentHtml = sourceHtml;
-        let previewHtml = sourceHtml; // Will contain highlights
+    validateParts(parts, options = {}) {
+        const issues = [];
+        const seen = new Map();
 
-        // We need to map target parts by name for easy lookup
-        const targetMap = {};
-        targetParts.forEach(p => targetMap[p.name] = p.pattern);
+        parts.forEach(part => {
+            const add = (level, message) => {
+                if (issues.some(i => i.part === part.name && i.message === message)) return;
+                issues.push({ part: part.name, level, message });
+            };
+            const pattern = part.pattern || '';
+
+            seen.set(part.name, (seen.get(part.name) || 0) + 1);
+            if (seen.get(part.name) === 2) add('error', 'パーツ名が重複しています');
+
+            if (!pattern.trim()) {
+                add('error', 'パターンが空です');
+                return;
+            }
 
-        const missingMappings = []; // Track missing parts
+            if (part.priority !== undefined && !Number.isFinite(part.priority)) {
+                add('error', 'Priority には数値を指定してください');
+            }
 
-        // Iterate over source parts and attempt to find valid matches
-        // Optimization: Sort source parts by complexity or length? 
-        // For now, sequential order.
+            const syntaxErrors = this.validatePatternSyntax(pattern);
+            syntaxErrors.forEach(msg => add('error', msg));
+            this.validatePatternFilters(pattern).forEach(msg => add('error', msg));
+            this.validatePatternTags(pattern).forEach(msg => add('error', msg));
+
+            // Source: variables captured more than once keep only one value (last non-empty wins)
+            const counts = {};
+            const tokenRegex = new RegExp(VARIABLE_TOKEN.source, 'g');
+            let match;
+            while ((match = tokenRegex.exec(pattern)) !== null) {
+                counts[match[1]] = (counts[match[1]] || 0) + 1;
+            }
+            Object.keys(counts).filter(name => options.source && counts[name] > 1).forEach(name => {
+                add('warning', `変数 {{${name}}} が${counts[name]}回使われています (変換元としては最後の値のみ使われます)`);
+            });
+
+            // {{a}}{{b}}: nothing tells where 'a' ends, so 'a' always captures an empty string
+            const adjacentRegex = new RegExp(`${VARIABLE_TOKEN.source}\\s*(?=${VARIABLE_TOKEN.source})`, 'g');
+            while ((match = adjacentRegex.exec(pattern)) !== null) {
+                add('warning', `変数 {{${match[1]}}} の直後に区切りなしで変数が続いています (変換元として値を分割できません)`);
+            }
 
-        // Optimize: Sort source parts by **Pattern Length** (Descending).
-        // Larger blocks (containers) should be matched before smaller ones (inner tags).
-        // Otherwise, replacing an inner tag might break the outer tag's pattern.
-        const sortedSourceParts = [...sourceParts].sort((a, b) => b.pattern.length - a.pattern.length);
-
-        for (const sPart of sortedSourceParts) {
-            const tPattern = targetMap[sPart.name];
-            if (!tPattern) {
-                // Check if this source part IS actually used in the HTML.
-                // If it is used but we can't convert it, that's a reportable "Missing Mapping".
-                // Use standard compilePattern (STABLE check)
-                const { regex } = this.compilePattern(sPart.pattern);
-                if (regex.test(currentHtml)) {
-                    missingMappings.push({
-                        name: sPart.name,
-                        pattern: sPart.pattern
-                    });
+            // A pattern that matches "" would replace between every character
+            if (syntaxErrors.length === 0) {
+                try {
+                    if (this.compilePattern(pattern).regex.test('')) {
+                        add('error', 'パターンが空文字列にマッチします (固定のタグや文字列を含めてください)');
+                    } else if (part.example && !this.partMatches(pattern, part.example)) {
+                        add('warning', 'Example のサンプルにパターンがマッチしません');
+                    }
+                } catch (e) {
+                    add('error', `パターンを正規表現に変換できません: ${e.message}`);
                 }
-                continue;
             }
+        });
 
-            // Check if this part is a "Simple Container" (e.g. <div class="box">{{content}}</div>)
-            // If so, we use Balanced Matching to handle nesting correctly.
-            const containerInfo = this.analyzeContainer(sPart.pattern);
+        return issues;
+    }
 
-            if (containerInfo.isContainer) {
-                currentHtml = this.migrateBalanced(currentHtml, sPart, tPattern, containerInfo);
-            } else {
-                // Fallback to Standard Regex Migration
-                const { regex, variables } = this.compilePattern(sPart.pattern);
+    /**
+     * Schema check for registry data (parts_registry.json, or an imported file normalized to
+     * { sites, mappings, fixtures }). Only the structure is checked; see validateParts() for
+     * pattern problems.
+     *
+     * @returns {Array<string>} errors, each prefixed with the path of the offending value (e.g. "sites[2].parts[0].pattern")
+     */
+    validateRegistryData(data) {
+        const errors = [];
+        const isString = (v) => typeof v === 'string';
+        const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+        const expect = (ok, path, message) => {
+            if (!ok) errors.push(`${path}: ${message}`);
+            return ok;
+        };
 
-                currentHtml = currentHtml.replace(regex, (match, ...args) => {
-                    const extracted = {};
-                    for (let i = 0; i < variables.length; i++) {
-                        extracted[variables[i]] = args[i] || '';
+        if (!expect(isObject(data), '(root)', 'オブジェクトではありません')) return errors;
+        if (data.version !== undefined) expect(Number.isInteger(data.version), 'version', '整数ではありません');
+
+        if (expect(Array.isArray(data.sites), 'sites', '配列ではありません')) {
+            const ids = new Set();
+            let canonicalSite = null;
+            data.sites.forEach((site, i) => {
+                const path = `sites[${i}]`;
+                if (!expect(isObject(site), path, 'オブジェクトではありません')) return;
+                if (expect(isString(site.id) && site.id !== '', `${path}.id`, '空でない文字列が必要です')) {
+                    expect(!ids.has(site.id), `${path}.id`, `ID "${site.id}" が重複しています`);
+                    ids.add(site.id);
+                }
+                expect(isString(site.name) && site.name !== '', `${path}.name`, '空でない文字列が必要です');
+                if (site.updatedAt !== undefined) expect(isString(site.updatedAt), `${path}.updatedAt`, '文字列ではありません');
+                if (site.canonical !== undefined && expect(typeof site.canonical === 'boolean', `${path}.canonical`, '真偽値ではありません') && site.canonical) {
+                    // Conversions through the canonical vocabulary need to know which site it is
+                    expect(!canonicalSite, `${path}.canonical`, `共通語彙のサイトは1つだけです (${canonicalSite} と重複)`);
+                    canonicalSite = canonicalSite || path;
+                }
+                if (site.page !== undefined && expect(isObject(site.page), `${path}.page`, 'オブジェクトではありません')) {
+                    this.validatePageSettings(site.page).forEach(issue => errors.push(`${path}.page.${issue.field}: ${issue.message}`));
+                }
+                if (!expect(Array.isArray(site.parts), `${path}.parts`, '配列ではありません')) return;
+
+                site.parts.forEach((part, j) => {
+                    const partPath = `${path}.parts[${j}]`;
+                    if (!expect(isObject(part), partPath, 'オブジェクトではありません')) return;
+                    expect(isString(part.name), `${partPath}.name`, '文字列ではありません');
+                    expect(isString(part.pattern), `${partPath}.pattern`, '文字列ではありません');
+                    ['description', 'example'].forEach(key => {
+                        if (part[key] !== undefined) expect(isString(part[key]), `${partPath}.${key}`, '文字列ではありません');
+                    });
+                    if (part.priority !== undefined) expect(Number.isFinite(part.priority), `${partPath}.priority`, '数値ではありません');
+                    if (part.tags !== undefined) {
+                        expect(Array.isArray(part.tags) && part.tags.every(isString), `${partPath}.tags`, '文字列の配列ではありません');
                     }
-                    const newHtml = this.renderTarget(tPattern, extracted);
-                    return `<!--__DIFF_START__-->${newHtml}<!--__DIFF_END__-->`;
                 });
-            }
+            });
         }
 
-        // DOM-based Cleanup (Fixes invalid tags, unclosed tags, and removes empties)
-        currentHtml = this.cleanHtml(currentHtml);
+        const checkFallback = (fallback, path) => {
+            if (!expect(isObject(fallback) && FALLBACK_STRATEGIES.includes(fallback.strategy),
+                `${path}.strategy`, `${FALLBACK_STRATEGIES.join(' / ')} のいずれかが必要です`)) return;
+            if (fallback.strategy === 'generic') expect(isString(fallback.target), `${path}.target`, '文字列ではありません');
+        };
 
-        // Now we separate Code and Preview
-        // Code: Strip markers
-        let codeOutput = currentHtml.replace(/<!--__DIFF_START__-->|<!--__DIFF_END__-->/g, '');
+        if (data.mappings !== undefined && expect(Array.isArray(data.mappings), 'mappings', '配列ではありません')) {
+            data.mappings.forEach((mapping, i) => {
+                const path = `mappings[${i}]`;
+                if (!expect(isObject(mapping), path, 'オブジェクトではありません')) return;
+                expect(isString(mapping.from), `${path}.from`, '文字列ではありません');
+                expect(isString(mapping.to), `${path}.to`, '文字列ではありません');
+                if (mapping.fallback !== undefined) checkFallback(mapping.fallback, `${path}.fallback`);
+                if (mapping.urls !== undefined && expect(isObject(mapping.urls), `${path}.urls`, 'オブジェクトではありません')) {
+                    this.validateUrlSettings(mapping.urls).forEach(issue => errors.push(`${path}.urls.${issue.field}: ${issue.message}`));
+                }
+                if (!expect(Array.isArray(mapping.rules), `${path}.rules`, '配列ではありません')) return;
+                mapping.rules.forEach((rule, j) => {
+                    const rulePath = `${path}.rules[${j}]`;
+                    if (!expect(isObject(rule) && isString(rule.source), `${rulePath}.source`, '文字列ではありません')) return;
+                    if (rule.target !== undefined) expect(isString(rule.target), `${rulePath}.target`, '文字列ではありません');
+                    if (rule.fallback !== undefined) checkFallback(rule.fallback, `${rulePath}.fallback`);
+                    if (rule.variables !== undefined) {
+                        expect(isObject(rule.variables) && Object.values(rule.variables).every(isString),
+                            `${rulePath}.variables`, '文字列同士の対応 (オブジェクト) ではありません');
+                    }
+                });
+            });
+        }
 
-        // Fix: Unescape comment closers that might have been mangled to --&gt;
-        // Also unescape the start if it was mangled to &lt;!--
-        codeOutput = codeOutput.replace(/--&gt;/g, '-->').replace(/&lt;!--/g, '<!--');
+        if (data.fixtures !== undefined && expect(Array.isArray(data.fixtures), 'fixtures', '配列ではありません')) {
+            data.fixtures.forEach((fixture, i) => {
+                const path = `fixtures[${i}]`;
+                if (!expect(isObject(fixture), path, 'オブジェクトではありません')) return;
+                ['id', 'name', 'from', 'to', 'input', 'expected'].forEach(key => {
+                    expect(isString(fixture[key]), `${path}.${key}`, '文字列ではありません');
+                });
+                if (fixture.passes !== undefined) {
+                    expect(Number.isInteger(fixture.passes) && fixture.passes >= 1, `${path}.passes`, '1以上の整数ではありません');
+                }
+                if (fixture.viaCanonical !== undefined) {
+                    expect(typeof fixture.viaCanonical === 'boolean', `${path}.viaCanonical`, '真偽値ではありません');
+                }
+            });
+        }
 
-        // Preview: We want to show the CODE with highlights, not rendered HTML.
-        // 1. Split by markers
-        // 2. Escape HTML in the text parts
-        // 3. Reassemble with highlight spans
+        return errors;
+    }
 
-        const parts = currentHtml.split(/(<!--__DIFF_START__-->|<!--__DIFF_END__-->)/g);
-        previewHtml = "";
+    /**
+     * Checks {{...}} usage: only {{var|filters}}, {{#var}}, {{^var}} and {{/var}} are valid,
+     * and sections must be properly nested.
+     */
+    validatePatternSyntax(patternString) {
+        const errors = [];
+        const sectionStack = [];
+        const braceRegex = /{{([\s\S]*?)}}/g;
+        let match;
 
-        parts.forEach(part => {
-            if (part === '<!--__DIFF_START__-->') {
-                previewHtml += '<span class="diff-highlight">';
-            } else if (part === '<!--__DIFF_END__-->') {
-                previewHtml += '</span>';
-            } else {
-                // Escape HTML chars
-                previewHtml += part
-                    .replace(/&/g, "&amp;")
-                    .replace(/</g, "&lt;")
-                    .replace(/>/g, "&gt;")
-                    .replace(/"/g, "&quot;")
-                    .replace(/'/g, "&#039;");
+        while ((match = braceRegex.exec(patternString)) !== null) {
+            const token = match[0];
+            const section = token.match(/^{{([#^\/])(\w+)}}$/);
+            if (section) {
+                if (section[1] !== '/') {
+                    sectionStack.push(section[2]);
+                } else if (sectionStack.length === 0) {
+                    errors.push(`対応する開始タグのない ${token} があります`);
+                } else if (sectionStack[sectionStack.length - 1] !== section[2]) {
+                    errors.push(`${token} は {{#${sectionStack[sectionStack.length - 1]}}} の閉じタグになっていません`);
+                    sectionStack.pop();
+                } else {
+                    sectionStack.pop();
+                }
+            } else if (!new RegExp(`^${VARIABLE_TOKEN.source}$`).test(token)) {
+                // Treated as literal text when matching, which is almost never intended
+                errors.push(`不明な構文 ${token} があります (変数名に使えるのは英数字と _ のみです)`);
             }
-        });
+        }
+        sectionStack.forEach(name => errors.push(`{{#${name}}} / {{^${name}}} が閉じられていません ({{/${name}}} がありません)`));
+
+        const rest = patternString.replace(braceRegex, '');
+        if (rest.includes('{{') || rest.includes('}}')) {
+            errors.push('閉じられていない "{{" または対応のない "}}" があります');
+        }
 
-        return { code: codeOutput, preview: previewHtml, missing: missingMappings };
+        return errors;
     }
 
     /**
-     * Parses HTML string -> DOM -> String to fix structural errors.
-     * Also recursively removes empty elements.
+     * Checks that the static HTML of a pattern (variables removed) has balanced tags.
      */
-    cleanHtml(htmlString) {
-        const div = document.createElement('div');
-        div.innerHTML = htmlString;
+    validatePatternTags(patternString) {
+        const errors = [];
+        const voidTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+        const stack = [];
+        const staticHtml = patternString
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/{{[\s\S]*?}}/g, '');
+        const tagRegex = /<(\/?)([a-zA-Z][\w-]*)(?:\s[^>]*)?(\/?)>/g;
+        let match;
 
-        this.recursiveRemoveEmpty(div);
+        while ((match = tagRegex.exec(staticHtml)) !== null) {
+            const tag = match[2].toLowerCase();
+            if (voidTags.includes(tag) || match[3]) continue;
+
+            if (!match[1]) {
+                stack.push(tag);
+            } else if (stack.length === 0) {
+                errors.push(`対応する開始タグのない </${tag}> があります`);
+            } else if (stack[stack.length - 1] !== tag) {
+                errors.push(`</${tag}> の前に <${stack[stack.length - 1]}> が閉じられていません`);
+                // Recover: drop up to the matching opener if there is one
+                const index = stack.lastIndexOf(tag);
+                if (index !== -1) stack.length = index;
+            } else {
+                stack.pop();
+            }
+        }
+        stack.forEach(tag => errors.push(`<${tag}> が閉じられていません`));
 
-        return div.innerHTML;
+        return errors;
     }
 
-    recursiveRemoveEmpty(node) {
-        // Process children first (bottom-up)
-        const children = [...node.children]; // snapshot
-        children.forEach(child => this.recursiveRemoveEmpty(child));
-
-        // Check if current node should be removed
-        // Condition: Empty innerText, No children (or only empty children), Not a void tag
-        const isElement = node.nodeType === 1; // Element
-        if (isElement) {
-            const tagName = node.tagName.toLowerCase();
-            const voidTags = ['img', 'br', 'hr', 'input', 'meta', 'link'];
+    // --- Tree (Structural) Matching ---
 
-            // Markers should be preserved (they are Comments usually, but we are using string markers before this?)
-            // Wait, our markers are <!--...--> which are Comment Nodes.
-            // Comment nodes (nodeType 8) are preserved by default as they have no children.
+    /**
+     * Returns true if the part pattern matches anywhere in the HTML (using the active match mode).
+     */
+    partMatches(pattern, html) {
+        const template = this.matchMode === 'dom' ? this.compileTemplate(pattern) : null;
+        if (template) {
+            return this.findTreeMatches(this.parseHtmlTree(html), template).length > 0;
+        }
+        // Use standard compilePattern (STABLE check)
+        return this.compilePattern(pattern).regex.test(html);
+    }
 
-            if (voidTags.includes(tagName)) return;
+    /**
+     * Lightweight, tolerant HTML parser that keeps source offsets for every node, so matches can be
+     * spliced back into the original string (unlike DOMParser, which re-serializes everything).
+     *
+     * Node shapes:
+     *   { type: 'element', tag, attrs: {name: value|null}, children, start, end }
+     *   { type: 'text', text, start, end }
+     *   { type: 'comment', text, start, end }
+     */
+    parseHtmlTree(html) {
+        const voidTags = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+        const rawTextTags = ['script', 'style', 'textarea'];
+        // Opening one of these while the same tag is open closes the previous one (<li>a<li>b)
+        const selfNestingClosers = ['li', 'p', 'dt', 'dd', 'tr', 'td', 'th', 'option'];
+
+        const root = { type: 'root', source: html, children: [], start: 0, end: html.length };
+        const stack = [root];
+        const current = () => stack[stack.length - 1];
+
+        const closeTop = (endIndex) => {
+            const node = stack.pop();
+            node.end = endIndex;
+        };
 
-            // Allow-list for empty tags (semantic spacers, icons, specific classes)
-            // 1. Specific classes to preserve
-            if (node.classList.contains('numbering-num')) return;
+        const tokenRegex = /<!--([\s\S]*?)(?:-->|$)|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/g;
+        let lastIndex = 0;
+        let match;
 
-            // 2. Common "Icon" or "Decoration" tags often empty: span, i, em
-            // Also preserve TABLE CELLS (th, td) which are structural even if empty.
-            if (['span', 'i', 'em', 'strong', 'b', 'th', 'td'].includes(tagName)) {
-                // For span/i etc, we required attributes. For table cells, empty is valid structure.
-                if (['th', 'td'].includes(tagName)) return;
-                if (node.attributes.length > 0) return;
+        const pushText = (start, end) => {
+            if (end > start) {
+                current().children.push({ type: 'text', text: html.substring(start, end), start, end });
             }
+        };
 
-            // Simple logic: If textContent is empty and no element children (except markers?)
-            // Note: node.children is Element Children only.
+        while ((match = tokenRegex.exec(html)) !== null) {
+            pushText(lastIndex, match.index);
+            const start = match.index;
+            const end = tokenRegex.lastIndex;
 
-            if (node.children.length === 0 && node.textContent.trim() === '') {
-                // Completely empty
-                node.remove();
+            if (match[0].startsWith('<!--')) {
+                current().children.push({ type: 'comment', text: match[1], start, end });
+            } else if (match[2]) {
+                // Closing tag: pop up to the matching open element (ignore stray closers)
+                const tag = match[2].toLowerCase();
+                const idx = stack.map(n => n.tag).lastIndexOf(tag);
+                if (idx > 0) {
+                    while (stack.length - 1 > idx) closeTop(start);
+                    closeTop(end);
+                }
             } else {
-                // Has nodes. Check if they are just whitespace text nodes?
-                // Or check if it only contains empty text nodes.
-                // If it has comment nodes (markers), we should probably keep it, 
-                // because it means a substitution happened here.
+                const tag = match[3].toLowerCase();
+                if (selfNestingClosers.includes(tag) && current().tag === tag) {
+                    closeTop(start);
+                }
+
+                const node = {
+                    type: 'element',
+                    tag: tag,
+                    attrs: this.parseAttributes(match[4]),
+                    children: [],
+                    start: start,
+                    end: end
+                };
+                current().children.push(node);
+
+                if (rawTextTags.includes(tag)) {
+                    // Everything up to the closing tag is text
+                    const closeRegex = new RegExp(`<\\/${tag}\\s*>`, 'gi');
+                    closeRegex.lastIndex = end;
+                    const closeMatch = closeRegex.exec(html);
+                    const contentEnd = closeMatch ? closeMatch.index : html.length;
+                    if (contentEnd > end) {
+                        node.children.push({ type: 'text', text: html.substring(end, contentEnd), start: end, end: contentEnd });
+                    }
+                    node.end = closeMatch ? closeRegex.lastIndex : html.length;
+                    tokenRegex.lastIndex = node.end;
+                } else if (!voidTags.includes(tag) && !match[5]) {
+                    stack.push(node);
+                }
             }
+            lastIndex = tokenRegex.lastIndex;
+        }
+        pushText(lastIndex, html.length);
+
+        // Unclosed elements end where their last child ends
+        while (stack.length > 1) {
+            const node = current();
+            const lastChild = node.children[node.children.length - 1];
+            closeTop(lastChild ? lastChild.end : node.end);
+        }
+
+        return root;
+    }
+
+    parseAttributes(attrString) {
+        const attrs = {};
+        const attrRegex = /([^\s=>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+        let match;
+        while ((match = attrRegex.exec(attrString || '')) !== null) {
+            const value = [match[2], match[3], match[4]].find(v => v !== undefined);
+            attrs[match[1].toLowerCase()] = value === undefined ? null : value;
         }
+        return attrs;
     }
 
     /**
-     * Parses a Markdown string used for defining parts.
-     * Format:
-     * # Part Name
-     * ## Pattern
-     * <html pattern>
-     * 
-     * @param {string} mdContent 
-     * @returns {Array} Array of part objects {name, pattern}
+     * Compiles a part pattern into a tree template.
+     * Returns null when the pattern is not made of elements at the top level
+     * (e.g. shortcodes like [qa-box01]); those use the regex path instead.
+     *
+     * Template items:
+     *   { kind: 'element', tag, attrs: [{ name, regex|null, vars }], children }
+     *   { kind: 'var', name }     - a text node that is exactly {{name}}: captures any nodes
+     *   { kind: 'text', regex, vars } - literal text (optionally with inline {{vars}})
      */
-    parseMarkdownParts(mdContent) {
-        const parts = [];
-        // Split by line starting with "# "
-        // logical sections
-        const lines = mdContent.split(/\r?\n/);
+    compileTemplate(pattern) {
+        if (this.templateCache.has(pattern)) return this.templateCache.get(pattern);
 
-        let currentPart = null;
-        let mode = null; // 'name', 'pattern_search', 'pattern_content'
+        const roots = this.compileTemplateChildren(this.parseHtmlTree(pattern).children);
+        const template = roots.length > 0 && roots.every(item => item.kind === 'element') ? roots : null;
 
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
+        this.templateCache.set(pattern, template);
+        return template;
+    }
 
-            if (line.startsWith('# ')) {
-                // New Part
-                if (currentPart && currentPart.name && currentPart.pattern) {
-                    currentPart.pattern = currentPart.pattern.trim();
-                    parts.push(currentPart);
+    compileTemplateChildren(nodes) {
+        const items = [];
+        nodes.forEach(node => {
+            if (node.type === 'element') {
+                items.push({
+                    kind: 'element',
+                    tag: node.tag,
+                    attrs: Object.entries(node.attrs).map(([name, value]) => {
+                        if (value === null) return { name, regex: null, vars: [] };
+                        return { name, ...this.compileTextRegex(value, false) };
+                    }),
+                    children: this.compileTemplateChildren(node.children)
+                });
+            } else if (node.type === 'text') {
+                if (!node.text.trim()) return;
+                const varOnly = node.text.trim().match(new RegExp(`^${VARIABLE_TOKEN.source}$`));
+                if (varOnly) {
+                    items.push({ kind: 'var', name: varOnly[1] });
+                } else {
+                    items.push({ kind: 'text', ...this.compileTextRegex(node.text, true) });
                 }
-                currentPart = { name: line.substring(2).trim(), pattern: '' };
-                mode = 'pattern_search';
-            } else if (line.startsWith('## Pattern')) {
-                mode = 'pattern_content';
-            } else if (mode === 'pattern_content') {
-                // Collect content
-                // Skip empty leading lines if pattern is empty so far?
-                if (currentPart) {
-                    currentPart.pattern += line + '\n';
+            }
+            // Comments in patterns are ignored
+        });
+        return items;
+    }
+
+    /**
+     * Compiles literal text with inline {{vars}} into an anchored, whitespace-flexible regex.
+     */
+    compileTextRegex(text, trimEdges) {
+        const vars = [];
+        let regexStr = '';
+        text.split(/({{\w+(?:\|[^{}|]+)*}})/g).forEach(piece => {
+            const varMatch = piece.match(new RegExp(`^${VARIABLE_TOKEN.source}$`));
+            if (varMatch) {
+                vars.push(varMatch[1]);
+                regexStr += '([\\s\\S]*?)';
+            } else if (piece) {
+                regexStr += this.escapeRegex(trimEdges ? piece.trim() : piece).replace(/\s+/g, '\\s*');
+            }
+        });
+        const edge = trimEdges ? '\\s*' : '';
+        return { regex: new RegExp(`^${edge}${regexStr}${edge}$`, 'i'), vars };
+    }
+
+    /**
+     * Finds all top-level (non-overlapping) matches of a template in a parsed tree.
+     * @param {Set} [exclude] - element nodes already claimed by another part; a match may not use them
+     * @returns {Array<{start: number, end: number, vars: Object, claimed: Array}>}
+     *          start/end are offsets into the parsed HTML; claimed = source elements matched by
+     *          the template's static elements (everything except variable content)
+     */
+    findTreeMatches(root, template, exclude = null) {
+        const matches = [];
+        const ctx = { source: root.source, exclude };
+
+        const visit = (parent) => {
+            const children = parent.children;
+            let i = 0;
+            while (i < children.length) {
+                const node = children[i];
+                if (node.type === 'element') {
+                    const result = this.matchSequence(template, 0, children, i, { vars: {}, claimed: [] }, false, ctx);
+                    if (result) {
+                        matches.push({
+                            start: node.start,
+                            end: children[result.index - 1].end,
+                            vars: result.state.vars,
+                            claimed: result.state.claimed
+                        });
+                        i = result.index; // Don't look inside (or overlap) a match
+                        continue;
+                    }
+                    visit(node);
                 }
+                i++;
             }
+        };
+        visit(root);
+
+        return matches;
+    }
+
+    /**
+     * Backtracking matcher for a list of template items against sibling nodes.
+     * @param {{vars: Object, claimed: Array}} state - captured so far (never mutated, for backtracking)
+     * @param {boolean} consumeAll - true inside an element (all children must be accounted for)
+     * @param {{source: string, exclude: Set|null}} ctx - parsed HTML (for variable values) and excluded nodes
+     * @returns {{index: number, state: Object}|null} index = first sibling after the match
+     */
+    matchSequence(items, itemIndex, nodes, nodeIndex, state, consumeAll, ctx) {
+        // Whitespace-only text and comments (e.g. diff markers) are not significant
+        const isSkippable = (node) => node.type === 'comment' || (node.type === 'text' && !node.text.trim());
+        const skip = (index) => {
+            while (index < nodes.length && isSkippable(nodes[index])) index++;
+            return index;
+        };
+
+        if (itemIndex === items.length) {
+            if (consumeAll && skip(nodeIndex) < nodes.length) return null;
+            return { index: nodeIndex, state };
         }
 
-        // Push last part
-        if (currentPart && currentPart.name && currentPart.pattern) {
-            currentPart.pattern = currentPart.pattern.trim();
-            parts.push(currentPart);
+        const item = items[itemIndex];
+
+        if (item.kind === 'var') {
+            const from = skip(nodeIndex);
+            const isLast = itemIndex === items.length - 1;
+            // Lazy: try consuming as few nodes as possible (all remaining if it's the last item in an element)
+            for (let end = isLast && consumeAll ? nodes.length : from; end <= nodes.length; end++) {
+                const consumed = nodes.slice(from, end).filter(n => !isSkippable(n));
+                const value = consumed.length > 0 ? this.sliceNodes(nodes, from, end, ctx.source) : '';
+                const next = { vars: this.assignVariable(state.vars, item.name, value), claimed: state.claimed };
+
+                const result = this.matchSequence(items, itemIndex + 1, nodes, end, next, consumeAll, ctx);
+                if (result) return result;
+            }
+            return null;
         }
 
-        return parts;
+        const index = skip(nodeIndex);
+        if (index >= nodes.length) return null;
+        const node = nodes[index];
+
+        let next = null;
+        if (item.kind === 'element') {
+            next = this.matchElement(item, node, state, ctx);
+        } else if (item.kind === 'text' && node.type === 'text') {
+            const textMatch = node.text.match(item.regex);
+            if (textMatch) {
+                let vars = state.vars;
+                item.vars.forEach((name, i) => { vars = this.assignVariable(vars, name, textMatch[i + 1]); });
+                next = { vars, claimed: state.claimed };
+            }
+        }
+        if (!next) return null;
+
+        return this.matchSequence(items, itemIndex + 1, nodes, index + 1, next, consumeAll, ctx);
+    }
+
+    matchElement(item, node, state, ctx) {
+        if (node.type !== 'element' || node.tag !== item.tag) return null;
+        if (ctx.exclude && ctx.exclude.has(node)) return null;
+
+        // Bare template tags (<ul>) only match bare source tags, same as the regex path
+        if (item.attrs.length === 0 && Object.keys(node.attrs).length > 0) return null;
+
+        let vars = state.vars;
+        for (const attr of item.attrs) {
+            if (!(attr.name in node.attrs)) return null;
+            if (!attr.regex) continue; // Boolean attribute: presence is enough
+
+            const attrMatch = (node.attrs[attr.name] || '').match(attr.regex);
+            if (!attrMatch) return null;
+            attr.vars.forEach((name, i) => { vars = this.assignVariable(vars, name, attrMatch[i + 1]); });
+        }
+
+        const inner = { vars, claimed: [...state.claimed, node] };
+        const result = this.matchSequence(item.children, 0, node.children, 0, inner, true, ctx);
+        return result ? result.state : null;
+    }
+
+    /**
+     * Returns a copy of vars with name set. A variable that appears more than once
+     * keeps its last non-empty value (same rule as extractVariables).
+     */
+    assignVariable(vars, name, value) {
+        value = value || '';
+        if (!value && name in vars) return vars;
+        return { ...vars, [name]: value };
+    }
+
+    /**
+     * Source HTML covered by nodes[from..end), without surrounding whitespace
+     * (the regex path drops it too, since pattern whitespace compiles to \s*).
+     */
+    sliceNodes(nodes, from, end, source) {
+        if (end <= from) return '';
+        return source.substring(nodes[from].start, nodes[end - 1].end).trim();
+    }
+
+    /**
+     * @param {Function} render - (vars, matchedSource) => replacement HTML (with diff markers) for one match
+     * @param {Function} [isRendered] - (offset) => true for markup an earlier replacement rendered;
+     *                                  such elements are not matched (their children still are)
+     */
+    migrateTree(html, template, render, isRendered = () => false) {
+        const root = this.parseHtmlTree(html);
+        const exclude = new Set();
+        const collect = (node) => node.children.forEach(child => {
+            if (child.type !== 'element') return;
+            if (isRendered(child.start)) exclude.add(child);
+            collect(child);
+        });
+        collect(root);
+
+        const matches = this.findTreeMatches(root, template, exclude.size > 0 ? exclude : null);
+
+        // Replace from LAST to FIRST to avoid index shift
+        matches.reverse().forEach(m => {
+            const replacement = render(m.vars, html.substring(m.start, m.end));
+            html = html.substring(0, m.start) + replacement + html.substring(m.end);
+        });
+
+        return html;
     }
 
     // --- Balanced Matching Helpers ---
@@ -312,7 +2676,7 @@ class MigrationEngine {
         // It must start with <, end with >.
         // Middle must have exactly one {{variable}}.
 
-        const vars = pattern.match(/{{\w+}}/g);
+        const vars = pattern.match(new RegExp(VARIABLE_TOKEN.source, 'g'));
         if (!vars || vars.length !== 1) return { isContainer: false };
 
         // Check structure
@@ -337,11 +2701,11 @@ class MigrationEngine {
             isContainer: true,
             tagName: tagName,
             startPattern: startStr,
-            variable: vars[0].replace(/[{}]/g, '') // "content"
+            variable: vars[0].match(VARIABLE_TOKEN)[1] // "content"
         };
     }
 
-    migrateBalanced(html, sPart, tPattern, info) {
+    migrateBalanced(html, sPart, render, info, isRendered = () => false) {
         // 1. Compile Regex for the START part only
         // Reuse compilePattern but for startStr
         // Note: startStr might contain NO variables. compilePattern works for that too.
@@ -358,6 +2722,7 @@ class MigrationEngine {
 
         while ((match = regex.exec(html)) !== null) {
             const startIndex = match.index;
+            if (isRendered(startIndex)) continue; // Its content is checked from here on
             const contentStartIndex = startIndex + match[0].length;
 
             // Find balanced closing tag starting from contentStartIndex
@@ -391,8 +2756,7 @@ class MigrationEngine {
             data[info.variable] = m.content;
 
             // Render
-            const newSnippet = this.renderTarget(tPattern, data);
-            const replacement = `<!--__DIFF_START__-->${newSnippet}<!--__DIFF_END__-->`;
+            const replacement = render(data, html.substring(m.start, m.end));
 
             // Apply replacement
             const before = html.substring(0, m.start);
@@ -432,3 +2796,8 @@ class MigrationEngine {
         return -1; // Not found
     }
 }
+
+// Allow the engine to be required from Node (CLI). In the browser it stays a global.
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MigrationEngine;
+}
@@ -0,0 +1,159 @@
+/**
+ * Minimal ZIP reading / writing for batch mode. Runs entirely in the browser, no libraries:
+ *  - readZip():   stored and deflated entries (inflated with DecompressionStream)
+ *  - createZip(): stored (uncompressed) entries, UTF-8 file names
+ * ZIP64, encryption and multi-disk archives are not supported.
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Entry names: UTF-8 when flagged (bit 11), otherwise UTF-8 if valid, else Shift_JIS
+ * (archives made by Windows' built-in "Send to > Compressed folder" on Japanese systems).
+ */
+function decodeZipName(bytes, utf8Flag) {
+    if (utf8Flag) return new TextDecoder('utf-8').decode(bytes);
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (e) {
+        return new TextDecoder('shift_jis').decode(bytes);
+    }
+}
+
+async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>} file entries (directories are skipped)
+ */
+async function readZip(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    // End of central directory: at the end, possibly followed by a comment (max 65535 bytes)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new Error('Not a ZIP file');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Broken ZIP central directory');
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decodeZipName(bytes.subarray(offset + 46, offset + 46 + nameLength), flags & 0x0800);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x0001) throw new Error(`Encrypted entry: ${name}`);
+
+        // The local header has its own name / extra field lengths
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+        if (method === 0) {
+            entries.push({ name, data: raw.slice() });
+        } else if (method === 8) {
+            entries.push({ name, data: await inflateRaw(raw) });
+        } else {
+            throw new Error(`Unsupported compression method ${method}: ${name}`);
+        }
+    }
+    return entries;
+}
+
+/**
+ * @param {Array<{name: string, data: string|Uint8Array}>} files - strings are written as UTF-8
+ * @returns {Blob} application/zip
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        const crc = crc32(data);
+
+        // Fields shared by the local header (from offset 4) and the central directory entry (from offset 6)
+        const common = new DataView(new ArrayBuffer(26));
+        common.setUint16(0, 20, true); // version needed
+        common.setUint16(2, 0x0800, true); // flags: UTF-8 names
+        common.setUint16(4, 0, true); // method: stored
+        common.setUint16(6, dosTime, true);
+        common.setUint16(8, dosDate, true);
+        common.setUint32(10, crc, true);
+        common.setUint32(14, data.length, true);
+        common.setUint32(18, data.length, true);
+        common.setUint16(22, name.length, true);
+        common.setUint16(24, 0, true); // extra length
+
+        const local = new Uint8Array(30);
+        new DataView(local.buffer).setUint32(0, 0x04034b50, true);
+        local.set(new Uint8Array(common.buffer), 4);
+        chunks.push(local, name, data);
+
+        const entry = new Uint8Array(46);
+        const entryView = new DataView(entry.buffer);
+        entryView.setUint32(0, 0x02014b50, true);
+        entryView.setUint16(4, 20, true); // version made by
+        entry.set(new Uint8Array(common.buffer), 6);
+        entryView.setUint32(42, offset, true); // comment length, disk, attributes stay 0
+        central.push(entry, name);
+
+        offset += local.length + name.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    return new Blob([...chunks, ...central, end], { type: 'application/zip' });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { readZip, createZip, crc32 };
+}